@@ -0,0 +1,39 @@
+// Inline versus Files API upload decision of GeminiProvider, with fetch stubbed
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { GeminiProvider } = require('../whats-up-gemini-v1/transcription-providers.js');
+
+const MB = 1024 * 1024;
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// A provider whose inline path resolves to 'inline' and whose upload path fails with 'upload'
+function createProvider(inlineLimitMb) {
+  const provider = new GeminiProvider({ apiKey: 'key', inlineLimitMb: inlineLimitMb });
+  provider.generateTranscript = async () => 'inline';
+  globalThis.fetch = async () => {
+    throw new Error('upload');
+  };
+  return provider;
+}
+
+function base64OfDecodedSize(bytes) {
+  return 'A'.repeat(Math.ceil(bytes / 3) * 4);
+}
+
+test('small audio is sent inline', async () => {
+  const result = await createProvider(14).transcribe({ base64Audio: base64OfDecodedSize(MB), mimeType: 'audio/ogg' });
+  assert.strictEqual(result, 'inline');
+});
+
+test('audio above the configured threshold is uploaded', async () => {
+  await assert.rejects(createProvider(1).transcribe({ base64Audio: base64OfDecodedSize(2 * MB), mimeType: 'audio/ogg' }), /upload/);
+});
+
+test('audio under the threshold is still uploaded when the encoded request would pass 20 MB', async () => {
+  // 15.5 MB of audio is about 20.7 MB in base64
+  await assert.rejects(createProvider(19).transcribe({ base64Audio: base64OfDecodedSize(15.5 * MB), mimeType: 'audio/ogg' }), /upload/);
+});
@@ -0,0 +1,59 @@
+// Server-sent event parsing of streamGeminiContent, with fetch stubbed
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { streamGeminiContent } = require('../whats-up-gemini-v1/transcription-providers.js');
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// Respond with body split into the given chunks, as a network read would
+function stubFetch(chunks) {
+  globalThis.fetch = async () => new Response(new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+      controller.close();
+    }
+  }), { status: 200 });
+}
+
+function event(text, extra = {}) {
+  return `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: text }] } }], ...extra })}`;
+}
+
+test('accumulates text across events split over reads', async () => {
+  const body = `${event('Hel')}\r\n\r\n${event('lo')}\n\n`;
+  stubFetch([body.slice(0, 10), body.slice(10, 40), body.slice(40)]);
+  const partials = [];
+
+  const { text } = await streamGeminiContent('key', 'model', {}, partial => partials.push(partial));
+
+  assert.strictEqual(text, 'Hello');
+  assert.deepStrictEqual(partials, ['Hel', 'Hello']);
+});
+
+test('parses a final event that has no trailing blank line', async () => {
+  const usage = { promptTokenCount: 10, candidatesTokenCount: 2, totalTokenCount: 12 };
+  stubFetch([`${event('one ')}\n\n`, event('two', { usageMetadata: usage })]);
+
+  const { text, usageMetadata } = await streamGeminiContent('key', 'model', {}, () => {});
+
+  assert.strictEqual(text, 'one two');
+  assert.deepStrictEqual(usageMetadata, usage);
+});
+
+test('flushes a multi-byte character split across the last read', async () => {
+  const bytes = new TextEncoder().encode(event('olá'));
+  globalThis.fetch = async () => new Response(new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes.slice(0, bytes.length - 4));
+      controller.enqueue(bytes.slice(bytes.length - 4));
+      controller.close();
+    }
+  }), { status: 200 });
+
+  const { text } = await streamGeminiContent('key', 'model', {}, () => {});
+  assert.strictEqual(text, 'olá');
+});
@@ -0,0 +1,216 @@
+// The RPC server inside inject.js: handshake and request authentication, run
+// in a bare page-like context since the server is private to the script
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createHmac } = require('node:crypto');
+
+const HANDSHAKE = 'whatsappGeminiTranscriber_rpcConnect';
+const injectSource = fs.readFileSync(path.join(__dirname, '../whats-up-gemini-v1/inject.js'), 'utf8');
+const openPorts = [];
+
+afterEach(() => {
+  openPorts.splice(0).forEach(port => port.close());
+  delete globalThis.window;
+});
+
+// Run inject.js as the page would, returning its secret and what it logged
+function loadInjectScript() {
+  const listeners = new Set();
+  const warnings = [];
+  const page = {
+    console: { log() {}, error() {}, warn: message => warnings.push(message) },
+    document: { addEventListener() {} },
+    setTimeout: () => 0, // No Store to poll for
+    crypto: globalThis.crypto,
+    TextEncoder: TextEncoder,
+    AbortController: AbortController,
+    StoreCapabilities: class {
+      getReport() {
+        return { storeExposed: true };
+      }
+    },
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener)
+  };
+  page.window = page;
+  vm.createContext(page);
+  const secret = vm.runInContext(injectSource, page, { filename: 'inject.js' });
+  // The context's global, which is what window means inside it
+  const pageWindow = vm.runInContext('window', page);
+
+  // Deliver a window message the way postMessage would
+  const postMessage = (data, ports = []) => Promise.all(Array.from(listeners, listener => listener({ source: pageWindow, data: data, ports: ports })));
+  return { page, pageWindow, secret, warnings, listeners, postMessage };
+}
+
+function sign(secret, text) {
+  return createHmac('sha256', Buffer.from(secret, 'hex')).update(text).digest('hex');
+}
+
+function openChannel() {
+  const channel = new MessageChannel();
+  openPorts.push(channel.port1, channel.port2);
+  const responses = [];
+  channel.port1.on('message', data => responses.push(data));
+  return { channel, responses };
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.ok(check(), 'timed out waiting for the server');
+}
+
+// A connected server plus a way to send it raw requests
+async function connect() {
+  const page = loadInjectScript();
+  const { channel, responses } = openChannel();
+  const nonce = 'a1b2c3';
+  await page.postMessage({ type: HANDSHAKE, nonce: nonce, mac: sign(page.secret, `${HANDSHAKE}:${nonce}`) }, [channel.port2]);
+
+  const send = (request, mac) => {
+    const text = JSON.stringify(request);
+    channel.port1.postMessage({ type: 'request', request: text, mac: mac || sign(page.secret, text) });
+  };
+  return { ...page, responses, send };
+}
+
+function request(id, overrides = {}) {
+  return { id: id, method: 'getStoreCapabilities', params: {}, nonce: `nonce-${id}`, issuedAt: Date.now(), ...overrides };
+}
+
+test('returns a fresh secret as the completion value of the script', () => {
+  const first = loadInjectScript();
+  const second = loadInjectScript();
+
+  assert.match(first.secret, /^[0-9a-f]{64}$/);
+  assert.notStrictEqual(first.secret, second.secret);
+});
+
+test('keeps the server, its helpers and the secret out of the page globals', () => {
+  const { page } = loadInjectScript();
+
+  const globals = vm.runInContext('[typeof PageRpcServer, typeof rpcSecret, typeof importRpcKey, typeof toHex]', page);
+  assert.deepStrictEqual(Array.from(globals), ['undefined', 'undefined', 'undefined', 'undefined']);
+});
+
+test('keeps the Store helpers and state off window, so only the channel reaches them', () => {
+  const { page } = loadInjectScript();
+  const names = [
+    'getWhatsAppAudioData', 'getActiveChatInfo', 'getChatRuleFacts', 'getTranscribableMessages', 'openMessage',
+    'sendQuotedReply', 'sendVoiceReply', 'initializeStore', 'storeInitialized', 'storeCapabilities', 'lastPlayedMedia'
+  ];
+
+  const reachable = vm.runInContext(`${JSON.stringify(names)}.filter(name => name in window || eval('typeof ' + name) !== 'undefined')`, page);
+  assert.deepStrictEqual(Array.from(reachable), []);
+});
+
+test('answers a signed request over the handshake channel with a signed response', async () => {
+  const { secret, responses, send } = await connect();
+
+  send(request('1'));
+  await waitFor(() => responses.length === 1);
+
+  const [{ response, mac }] = responses;
+  assert.strictEqual(mac, sign(secret, response));
+  assert.deepStrictEqual(JSON.parse(response), { id: '1', result: { report: { storeExposed: true } } });
+});
+
+test('rejects a handshake signed with another secret', async () => {
+  const { postMessage, warnings, listeners } = loadInjectScript();
+  const { channel } = openChannel();
+
+  await postMessage({ type: HANDSHAKE, nonce: 'x', mac: sign('00'.repeat(32), `${HANDSHAKE}:x`) }, [channel.port2]);
+
+  assert.deepStrictEqual(warnings, ['[Inject] Rejected an RPC handshake']);
+  assert.strictEqual(listeners.size, 1, 'still waiting for the genuine handshake');
+});
+
+test('ignores handshakes from other windows or without a port', async () => {
+  const { pageWindow, secret, warnings, listeners } = loadInjectScript();
+  const data = { type: HANDSHAKE, nonce: 'x', mac: sign(secret, `${HANDSHAKE}:x`) };
+  const { channel } = openChannel();
+
+  await Promise.all(Array.from(listeners, listener => listener({ source: {}, data: data, ports: [channel.port2] })));
+  await Promise.all(Array.from(listeners, listener => listener({ source: pageWindow, data: data, ports: [] })));
+
+  assert.deepStrictEqual(warnings, []);
+  assert.strictEqual(listeners.size, 1);
+});
+
+test('stops listening once connected, so a later handshake cannot take over', async () => {
+  const { listeners } = await connect();
+
+  assert.strictEqual(listeners.size, 0);
+});
+
+test('drops a forged request signed with another secret', async () => {
+  const { responses, send, warnings } = await connect();
+  const forged = request('1');
+
+  send(forged, sign('00'.repeat(32), JSON.stringify(forged)));
+  await waitFor(() => warnings.length === 1);
+
+  assert.deepStrictEqual(warnings, ['[Inject] Rejected an RPC request: invalid signature']);
+  assert.deepStrictEqual(responses, []);
+});
+
+test('drops a request whose params were changed after signing', async () => {
+  const { secret, responses, warnings, send } = await connect();
+  const signed = request('1', { method: 'getAudioData', params: { messageId: 'mine' } });
+  const mac = sign(secret, JSON.stringify(signed));
+
+  send({ ...signed, params: { messageId: 'someone-else' } }, mac);
+  await waitFor(() => warnings.length === 1);
+
+  assert.deepStrictEqual(warnings, ['[Inject] Rejected an RPC request: invalid signature']);
+  assert.deepStrictEqual(responses, []);
+});
+
+test('answers a request once and drops a replay of it', async () => {
+  const { responses, warnings, send } = await connect();
+  const original = request('1');
+
+  send(original);
+  await waitFor(() => responses.length === 1);
+  send(original);
+  await waitFor(() => warnings.length === 1);
+
+  assert.deepStrictEqual(warnings, ['[Inject] Rejected an RPC request: replayed token']);
+  assert.strictEqual(responses.length, 1);
+});
+
+test('drops expired requests and ones issued too far in the future', async () => {
+  const { responses, warnings, send } = await connect();
+
+  send(request('1', { issuedAt: Date.now() - 31000 }));
+  await waitFor(() => warnings.length === 1);
+  send(request('2', { issuedAt: Date.now() + 6000 }));
+  await waitFor(() => warnings.length === 2);
+
+  assert.deepStrictEqual(warnings, [
+    '[Inject] Rejected an RPC request: expired token',
+    '[Inject] Rejected an RPC request: expired token'
+  ]);
+  assert.deepStrictEqual(responses, []);
+});
+
+test('connects to PageRpcClient with the secret from the injection', async () => {
+  const { page, secret, postMessage } = loadInjectScript();
+  globalThis.window = {
+    location: { origin: 'https://web.whatsapp.com' },
+    postMessage: (data, origin, ports) => postMessage(data, ports)
+  };
+  const { PageRpcClient } = require('../whats-up-gemini-v1/page-rpc.js');
+  const client = new PageRpcClient();
+
+  await client.connect(secret);
+  openPorts.push(client.port);
+
+  assert.deepStrictEqual(await client.call('getStoreCapabilities'), { report: page.StoreCapabilities.prototype.getReport() });
+  await assert.rejects(client.call('noSuchMethod'), { code: 'unknown_method' });
+});
@@ -0,0 +1,136 @@
+// PiiRedactor against a corpus of personal data and look-alikes that must survive
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PiiRedactor } = require('../whats-up-gemini-v1/pii-redaction.js');
+
+// [text, what it must become] with every detector switched on
+const CORPUS = [
+  ['Write to jane.doe+news@example.co.uk today', 'Write to [EMAIL-1] today'],
+  ['Call me on +34 612 345 678', 'Call me on [PHONE-1]'],
+  ['Office: (555) 123-4567', 'Office: [PHONE-1]'],
+  ['US line +1 415-555-0134, home 0612345678', 'US line [PHONE-1], home [PHONE-2]'],
+  ['Card 4111 1111 1111 1111 expires soon', 'Card [CARD-1] expires soon'],
+  ['Pay to DE89 3704 0044 0532 0130 00 please', 'Pay to [IBAN-1] please'],
+  ['Pay to GB82WEST12345698765432', 'Pay to [IBAN-1]'],
+  ['SSN 123-45-6789', 'SSN [ID-1]'],
+  ['NI number AB 12 34 56 C', 'NI number [ID-1]'],
+  ['DNI 12345678Z and NIE X1234567L', 'DNI [ID-1] and NIE [ID-2]'],
+  ['Codice fiscale RSSMRA85T10A562S', 'Codice fiscale [ID-1]']
+];
+
+// Text that looks numeric but is not personal data
+const LOOK_ALIKES = [
+  'Meet on 12/05/2024 or 2024-05-12',
+  'Call 911 or room 12345',
+  'It costs 1,250 euros',
+  'Card 4111 1111 1111 1112 fails the checksum',
+  'Account DE00 3704 0044 0532 0130 00 fails mod 97',
+  'Version 2.5 shipped at 10:30'
+];
+
+for (const [text, expected] of CORPUS) {
+  test(`masks "${text}"`, () => {
+    assert.strictEqual(new PiiRedactor().redactText(text), expected);
+  });
+}
+
+for (const text of LOOK_ALIKES) {
+  test(`leaves "${text}" alone`, () => {
+    assert.strictEqual(new PiiRedactor().redactText(text), text);
+  });
+}
+
+test('records the original behind each placeholder and reuses it for repeats', () => {
+  const values = {};
+  const text = new PiiRedactor().redactText('+34 612 345 678, again +34 612 345 678, or +34 698 765 432', values);
+
+  assert.strictEqual(text, '[PHONE-1], again [PHONE-1], or [PHONE-2]');
+  assert.deepStrictEqual(values, { '[PHONE-1]': '+34 612 345 678', '[PHONE-2]': '+34 698 765 432' });
+});
+
+test('applies only the selected types', () => {
+  const redactor = new PiiRedactor({ types: ['email'] });
+
+  assert.strictEqual(redactor.redactText('a@b.io or +34 612 345 678'), '[EMAIL-1] or +34 612 345 678');
+});
+
+test('applies custom patterns before the built-ins and skips invalid ones', () => {
+  const redactor = new PiiRedactor({
+    customPatterns: [{ name: 'order id', pattern: 'ORD-\\d{7}' }, { name: 'broken', pattern: '(' }]
+  });
+
+  assert.strictEqual(redactor.redactText('Order ORD-1234567 for +34 612 345 678'), 'Order [ORDER_ID-1] for [PHONE-1]');
+});
+
+test('numbers new placeholders after ones already in a result', () => {
+  const { result, values } = new PiiRedactor().redactResult({
+    transcription: 'Old [PHONE-1], new +34 612 345 678',
+    summary: 'Mail jane@example.com',
+    language: 'en',
+    segments: [{ start: 0, text: 'Ring +34 612 345 678' }]
+  });
+
+  assert.strictEqual(result.transcription, 'Old [PHONE-1], new [PHONE-2]');
+  assert.strictEqual(result.summary, 'Mail [EMAIL-1]');
+  assert.strictEqual(result.language, 'en');
+  assert.deepStrictEqual(result.segments, [{ start: 0, text: 'Ring [PHONE-2]' }]);
+  assert.deepStrictEqual(values, { '[PHONE-1]': null, '[PHONE-2]': '+34 612 345 678', '[EMAIL-1]': 'jane@example.com' });
+});
+
+function importKey(byte) {
+  return crypto.subtle.importKey('raw', new Uint8Array(32).fill(byte), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+test('replaces WhatsApp IDs with stable keyed pseudonyms', async () => {
+  const key = await importKey(1);
+  const redactor = new PiiRedactor({ idKey: key });
+
+  const chatId = await redactor.redactIds('34612345678@c.us');
+  const messageId = await redactor.redactIds('false_34612345678@c.us_3EB0C4A1F2');
+  const group = await redactor.redactIds('34612345678-1600000000@g.us');
+
+  assert.match(chatId, /^\[PHONE-[0-9a-f]{12}\]@c\.us$/);
+  assert.strictEqual(messageId, `false_${chatId}_3EB0C4A1F2`);
+  assert.match(group, /^\[PHONE-[0-9a-f]{12}\]@g\.us$/);
+  assert.notStrictEqual(group.split('@')[0], chatId.split('@')[0]);
+  assert.strictEqual(await PiiRedactor.pseudonymizeIds('34612345678@c.us', key), chatId);
+  assert.notStrictEqual(await PiiRedactor.pseudonymizeIds('34612345678@c.us', await importKey(2)), chatId);
+});
+
+test('gives IDs that share digits their own pseudonyms', async () => {
+  const masked = await PiiRedactor.pseudonymizeIds('123@c.us 9123@c.us', await importKey(1));
+  const [first, second] = masked.split(' ');
+
+  assert.doesNotMatch(masked, /\d{3}@/);
+  assert.notStrictEqual(first, second);
+});
+
+test('leaves text without IDs, status IDs and missing keys alone', async () => {
+  const key = await importKey(1);
+
+  assert.strictEqual(await PiiRedactor.pseudonymizeIds('status@broadcast', key), 'status@broadcast');
+  assert.strictEqual(await PiiRedactor.pseudonymizeIds(undefined, key), undefined);
+  assert.strictEqual(await new PiiRedactor().redactIds('34612345678@c.us'), '34612345678@c.us');
+});
+
+test('masks every name and WhatsApp ID in a group message context', async () => {
+  const redactor = new PiiRedactor({ idKey: await importKey(1) });
+  const group = '34612345678-1600000000@g.us';
+  const author = '34698765432@c.us';
+
+  const redacted = await redactor.redactParticipants({
+    messageId: `false_${group}_3EB0C4A1F2_${author}`,
+    chatId: group,
+    chatName: '+34 612 345 678',
+    senderName: 'Ana +34 698 765 432',
+    duration: 12,
+    message: { id: `false_${group}_3EB0C4A1F2_${author}`, from: group, to: '34600000000@c.us', author: author, type: 'ptt' }
+  });
+
+  assert.doesNotMatch(JSON.stringify(redacted), /\d[\d-]*@(?:c\.us|g\.us)|\d{3} \d{3} \d{3}/);
+  assert.strictEqual(redacted.chatName, '[PHONE-1]');
+  assert.strictEqual(redacted.senderName, 'Ana [PHONE-1]');
+  assert.strictEqual(redacted.message.from, redacted.chatId);
+  assert.strictEqual(redacted.message.id, redacted.messageId);
+  assert.strictEqual(redacted.duration, 12);
+});
@@ -0,0 +1,142 @@
+// Fallback strategies of selectors.js against WhatsApp Web DOM fixtures
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const WhatsAppSelectors = require('../whats-up-gemini-v1/selectors.js');
+
+// Message row and bubble as WhatsApp Web renders them, around the given player markup
+function bubble(messageId, direction, player) {
+  return `<div role="row"><div data-id="${messageId}"><div class="message-${direction}">${player}</div></div></div>`;
+}
+
+// Current markup: English label inside the player's generated classes
+const CLASSIC_PLAYER = `
+  <div class="x78zum5 x6s0dn4 xzt5al7 xjkvuk6">
+    <button aria-label="Play voice message"><span data-icon="audio-play"></span></button>
+    <span aria-label="Voice message"></span>
+  </div>`;
+
+// Localized UI after a class name change
+const PORTUGUESE_PLAYER = `
+  <div class="renamed">
+    <button aria-label="Reproduzir mensagem de voz"><span data-icon="audio-play"></span></button>
+    <span aria-label="Mensagem de voz"></span>
+  </div>`;
+
+// Unknown language and classes: only the icon is left
+const ICON_ONLY_PLAYER = `<div><div role="button" class="play"><span data-icon="ptt-play"></span></div></div>`;
+
+const PLAYING_PLAYER = `<div><button aria-label="Pause voice message"><span data-icon="audio-pause"></span></button><span aria-label="Voice message"></span></div>`;
+
+let selectors;
+
+function load(html) {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`);
+  global.document = dom.window.document;
+  global.CSS = dom.window.CSS && dom.window.CSS.escape
+    ? dom.window.CSS
+    : { escape: value => String(value).replace(/["\\]/g, '\\$&') };
+  return dom.window.document;
+}
+
+beforeEach(() => {
+  selectors = new WhatsAppSelectors();
+});
+
+test('finds the player through the generated class names', () => {
+  const document = load(bubble('false_1@c.us_A', 'in', CLASSIC_PLAYER));
+  const found = selectors.findVoiceMessages(document.body);
+
+  assert.strictEqual(found.length, 1);
+  assert.ok(found[0].classList.contains('x78zum5'));
+  assert.strictEqual(selectors.getMessageId(found[0]), 'false_1@c.us_A');
+});
+
+test('falls back to localized labels when class names change', () => {
+  const document = load(bubble('false_1@c.us_B', 'out', PORTUGUESE_PLAYER));
+  const found = selectors.findVoiceMessages(document.body);
+
+  assert.strictEqual(found.length, 1);
+  assert.ok(found[0].classList.contains('message-out'));
+});
+
+test('falls back to play icons when neither classes nor labels match', () => {
+  const document = load(bubble('false_1@c.us_C', 'in', ICON_ONLY_PLAYER));
+  const found = selectors.findVoiceMessages(document.body);
+
+  assert.strictEqual(found.length, 1);
+  assert.strictEqual(selectors.getMessageId(found[0]), 'false_1@c.us_C');
+});
+
+test('reports each bubble once when several strategies match it', () => {
+  const document = load(
+    bubble('false_1@c.us_A', 'in', CLASSIC_PLAYER) +
+    bubble('false_1@c.us_B', 'out', PORTUGUESE_PLAYER) +
+    bubble('false_1@c.us_C', 'in', ICON_ONLY_PLAYER)
+  );
+  const found = selectors.findVoiceMessages(document.body);
+
+  assert.deepStrictEqual(found.map(element => selectors.getMessageId(element)), ['false_1@c.us_A', 'false_1@c.us_B', 'false_1@c.us_C']);
+});
+
+test('ignores text messages and players outside message bubbles', () => {
+  const document = load(
+    bubble('false_1@c.us_T', 'in', '<span>Hello there</span>') +
+    `<div>${ICON_ONLY_PLAYER}</div>`
+  );
+  assert.deepStrictEqual(selectors.findVoiceMessages(document.body), []);
+});
+
+test('looks up message rows by ID, escaping quotes', () => {
+  const document = load(bubble('placeholder', 'in', CLASSIC_PLAYER));
+  document.querySelector('[data-id]').dataset.id = 'false_1@c.us_"quoted"';
+  const row = selectors.getMessageRow('false_1@c.us_"quoted"');
+
+  assert.strictEqual(row, document.querySelector('[data-id]'));
+  assert.strictEqual(selectors.getMessageRow('false_1@c.us_missing'), null);
+  assert.strictEqual(selectors.getMessageRows(document.body).length, 1);
+});
+
+test('finds the play button by label, then by icon', () => {
+  const document = load(bubble('false_1@c.us_B', 'out', PORTUGUESE_PLAYER) + bubble('false_1@c.us_C', 'in', ICON_ONLY_PLAYER));
+  const [labelled, iconOnly] = document.querySelectorAll('.message-in, .message-out');
+
+  assert.strictEqual(selectors.findPlayButton(labelled).getAttribute('aria-label'), 'Reproduzir mensagem de voz');
+  assert.strictEqual(selectors.findPlayButton(iconOnly).className, 'play');
+});
+
+test('tells a playing voice message from a paused one', () => {
+  const document = load(bubble('false_1@c.us_A', 'in', CLASSIC_PLAYER) + bubble('false_1@c.us_P', 'in', PLAYING_PLAYER));
+  const [paused, playing] = document.querySelectorAll('.message-in');
+
+  assert.strictEqual(selectors.isPlaying(paused), false);
+  assert.strictEqual(selectors.isPlaying(playing), true);
+  assert.strictEqual(selectors.findPlayButton(playing), null);
+});
+
+test('health check counts matches per strategy and finds the header and composer', () => {
+  const document = load(`
+    <div id="main">
+      <header>Chat</header>
+      ${bubble('false_1@c.us_A', 'in', CLASSIC_PLAYER)}
+      ${bubble('false_1@c.us_C', 'in', ICON_ONLY_PLAYER)}
+      <footer><div contenteditable="true"></div></footer>
+    </div>`);
+  selectors.recordStoreDetection(3, 2);
+
+  const report = selectors.healthCheck(document.body);
+  const matches = Object.fromEntries(report.strategies.map(strategy => [strategy.name, strategy.matches]));
+
+  assert.deepStrictEqual(matches, { 'obfuscated-class': 1, 'localized-label': 1, 'player-icon': 2, 'store-lookup': 2 });
+  assert.strictEqual(report.messageRows, 2);
+  assert.strictEqual(report.chatHeader, true);
+  assert.strictEqual(report.composer, true);
+});
+
+test('health check reports a missing header and composer', () => {
+  const document = load(bubble('false_1@c.us_A', 'in', CLASSIC_PLAYER));
+  const report = selectors.healthCheck(document.body);
+
+  assert.strictEqual(report.chatHeader, false);
+  assert.strictEqual(report.composer, false);
+});
@@ -0,0 +1,59 @@
+// Load error capture of store-capabilities.js in a jsdom page, with lib.js
+// loaded before ExposeStore runs as content.js and inject.js order them
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '../whats-up-gemini-v1/store-capabilities.js'), 'utf8');
+
+function loadPage() {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only' });
+  const window = dom.window;
+  const logged = [];
+  const pageConsoleError = (...args) => logged.push(args[0]);
+  window.console.error = pageConsoleError;
+  window.eval(source);
+
+  // lib.js has loaded, but nothing has called ExposeStore yet
+  const libScript = window.document.createElement('script');
+  libScript.src = 'chrome-extension://extension-id/lib.js';
+  window.document.body.appendChild(libScript);
+  libScript.dispatchEvent(new window.Event('load'));
+
+  return { window, logged, pageConsoleError };
+}
+
+test('reports modules that fail to load after lib.js has loaded', () => {
+  const { window, logged } = loadPage();
+  const capabilities = new window.StoreCapabilities();
+
+  window.console.error('Fail to load module: DownloadManager');
+  window.console.error('Something else went wrong');
+
+  assert.deepStrictEqual(Array.from(capabilities.getReport().loadErrors), ['DownloadManager']);
+  assert.deepStrictEqual(logged, ['Fail to load module: DownloadManager', 'Something else went wrong']);
+});
+
+test('puts the page console.error back once capture stops', () => {
+  const { window, pageConsoleError } = loadPage();
+  const capabilities = new window.StoreCapabilities();
+
+  window.console.error('Fail to load module: Chat');
+  capabilities.stopCapturing();
+  window.console.error('Fail to load module: Label');
+
+  assert.strictEqual(window.console.error, pageConsoleError);
+  assert.deepStrictEqual(Array.from(capabilities.getReport().loadErrors), ['Chat']);
+});
+
+test('leaves a console.error the page replaced in the meantime alone', () => {
+  const { window } = loadPage();
+  const replacement = () => {};
+  window.console.error = replacement;
+
+  new window.StoreCapabilities().stopCapturing();
+
+  assert.strictEqual(window.console.error, replacement);
+});
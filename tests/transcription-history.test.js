@@ -0,0 +1,98 @@
+// TranscriptionHistory on an in-memory IndexedDB, with redaction applied as the
+// service worker does when it is switched on
+require('fake-indexeddb/auto');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const TranscriptionHistory = require('../whats-up-gemini-v1/transcription-history.js');
+const { PiiRedactor } = require('../whats-up-gemini-v1/pii-redaction.js');
+
+// Numbers that must not appear anywhere in what is stored
+const GROUP_WID = '34612345678-1600000000@g.us';
+const AUTHOR_WID = '34698765432@c.us';
+const MESSAGE_ID = `false_${GROUP_WID}_3EB0C4A1F2_${AUTHOR_WID}`;
+const RAW_WID_PATTERN = /\d[\d-]*@(?:c\.us|g\.us)/;
+
+const CONTEXT = {
+  chatId: GROUP_WID,
+  chatName: 'Family +34 612 345 678',
+  senderName: '+34 698 765 432',
+  timestamp: 1700000000000,
+  duration: 12,
+  message: { id: MESSAGE_ID, type: 'ptt', from: GROUP_WID, to: '34600000000@c.us', author: AUTHOR_WID, fromMe: false }
+};
+const RESULT = { transcription: 'See you at five', language: 'en' };
+
+let session;
+let history;
+
+beforeEach(() => {
+  session = {};
+  globalThis.chrome = {
+    storage: {
+      session: {
+        get: async key => (key === null ? { ...session } : key in session ? { [key]: session[key] } : {}),
+        set: async values => Object.assign(session, values),
+        remove: async keys => [].concat(keys).forEach(key => delete session[key])
+      }
+    }
+  };
+  history = new TranscriptionHistory();
+  history.dbName = `history-test-${Math.random()}`;
+});
+
+async function createRedactor() {
+  const idKey = await crypto.subtle.importKey('raw', new Uint8Array(32).fill(7), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new PiiRedactor({ idKey: idKey });
+}
+
+async function storedEntries() {
+  return history.withStore('readonly', store => store.getAll());
+}
+
+test('writes no WhatsApp ID or phone number with redaction on, the key included', async () => {
+  const redactor = await createRedactor();
+
+  await history.addRedacted(redactor, MESSAGE_ID, CONTEXT, RESULT);
+
+  const entries = await storedEntries();
+  assert.strictEqual(entries.length, 1);
+  const stored = JSON.stringify(entries);
+  assert.doesNotMatch(stored, RAW_WID_PATTERN);
+  ['34612345678', '34698765432', '34600000000', '612 345 678', '698 765 432'].forEach(number => {
+    assert.ok(!stored.includes(number), `${number} was stored`);
+  });
+  assert.strictEqual(entries[0].messageId, await redactor.redactIds(MESSAGE_ID));
+  assert.strictEqual(entries[0].transcription, 'See you at five');
+});
+
+test('resolves a pseudonymized key to the real message ID during the session only', async () => {
+  await history.addRedacted(await createRedactor(), MESSAGE_ID, CONTEXT, RESULT);
+  const [{ messageId: storedId }] = await storedEntries();
+
+  assert.strictEqual(await TranscriptionHistory.resolveMessageId(storedId), MESSAGE_ID);
+  session = {};
+  assert.strictEqual(await TranscriptionHistory.resolveMessageId(storedId), null);
+  assert.strictEqual(await TranscriptionHistory.resolveMessageId(MESSAGE_ID), MESSAGE_ID);
+});
+
+test('replaces an entry written before redaction was switched on', async () => {
+  await history.add(MESSAGE_ID, CONTEXT, RESULT);
+
+  await history.addRedacted(await createRedactor(), MESSAGE_ID, CONTEXT, RESULT);
+
+  const entries = await storedEntries();
+  assert.strictEqual(entries.length, 1);
+  assert.doesNotMatch(JSON.stringify(entries), RAW_WID_PATTERN);
+});
+
+test('finds entries by any of several message or chat IDs', async () => {
+  const redactor = await createRedactor();
+  await history.add(MESSAGE_ID, CONTEXT, RESULT);
+  await history.addRedacted(redactor, 'false_34611111111@c.us_ABC', { ...CONTEXT, chatId: '34611111111@c.us' }, RESULT);
+  const pseudonymizedChat = await redactor.redactIds('34611111111@c.us');
+
+  assert.strictEqual((await history.query({ chatId: [GROUP_WID, pseudonymizedChat] })).length, 2);
+  assert.strictEqual((await history.query({ chatId: ['34611111111@c.us', pseudonymizedChat] })).length, 1);
+  assert.strictEqual((await history.query({ messageId: [MESSAGE_ID] })).length, 1);
+  assert.strictEqual((await history.query({ chatId: GROUP_WID })).length, 1);
+});
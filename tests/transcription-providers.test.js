@@ -0,0 +1,130 @@
+// Request shape, auth headers and error mapping of the HTTP providers, against a local mock server
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const {
+  API_ERROR_CATEGORIES,
+  OpenAICompatibleProvider,
+  WhisperServerProvider
+} = require('../whats-up-gemini-v1/transcription-providers.js');
+
+const AUDIO = Buffer.from('fake ogg audio').toString('base64');
+
+let server;
+let baseUrl;
+let requests = [];
+let nextResponse = null;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('latin1') });
+      const { status = 200, body = {}, headers = {} } = nextResponse || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function respondWith(response) {
+  requests = [];
+  nextResponse = response;
+}
+
+test('OpenAI-compatible provider posts multipart audio with a bearer token', async () => {
+  respondWith({ body: { text: 'hello there' } });
+  const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', baseUrl: `${baseUrl}/v1/`, model: 'whisper-1' });
+
+  const result = await provider.transcribe({ base64Audio: AUDIO, mimeType: 'audio/ogg; codecs=opus' });
+
+  assert.deepStrictEqual(result, { transcription: 'hello there' });
+  assert.strictEqual(requests.length, 1);
+  const request = requests[0];
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url, '/v1/audio/transcriptions');
+  assert.strictEqual(request.headers.authorization, 'Bearer sk-test');
+  assert.match(request.headers['content-type'], /^multipart\/form-data; boundary=/);
+  assert.match(request.body, /name="file"; filename="audio\.ogg"/);
+  assert.match(request.body, /fake ogg audio/);
+  assert.match(request.body, /name="model"\r\n\r\nwhisper-1/);
+  assert.match(request.body, /name="response_format"\r\n\r\njson/);
+});
+
+test('OpenAI-compatible provider requires a base URL and an API key', async () => {
+  await assert.rejects(new OpenAICompatibleProvider({ apiKey: 'sk-test' }).transcribe({ base64Audio: AUDIO }), /base URL not set/);
+  await assert.rejects(new OpenAICompatibleProvider({ baseUrl: baseUrl }).transcribe({ base64Audio: AUDIO }), /API key not found/);
+});
+
+test('OpenAI-compatible provider rejects responses without text', async () => {
+  respondWith({ body: { result: 'nope' } });
+  const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', baseUrl: baseUrl });
+  await assert.rejects(provider.transcribe({ base64Audio: AUDIO }), /Unexpected response format/);
+});
+
+test('Whisper server provider posts audio_file with task, output and model parameters', async () => {
+  respondWith({ body: { text: ' bonjour ', language: 'fr' } });
+  const provider = new WhisperServerProvider({ baseUrl: baseUrl, model: 'large-v3' });
+
+  const result = await provider.transcribe({ base64Audio: AUDIO, mimeType: 'audio/mpeg' });
+
+  assert.deepStrictEqual(result, { transcription: 'bonjour' });
+  const request = requests[0];
+  const url = new URL(request.url, baseUrl);
+  assert.strictEqual(url.pathname, '/asr');
+  assert.strictEqual(url.searchParams.get('task'), 'transcribe');
+  assert.strictEqual(url.searchParams.get('output'), 'json');
+  assert.strictEqual(url.searchParams.get('model'), 'large-v3');
+  assert.strictEqual(request.headers.authorization, undefined);
+  assert.match(request.body, /name="audio_file"; filename="audio\.mp3"/);
+});
+
+test('Whisper server provider sends a bearer token when one is configured', async () => {
+  respondWith({ body: { text: 'hi' } });
+  await new WhisperServerProvider({ baseUrl: baseUrl, apiKey: 'secret' }).transcribe({ base64Audio: AUDIO });
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer secret');
+  assert.strictEqual(new URL(requests[0].url, baseUrl).searchParams.has('model'), false);
+});
+
+test('Whisper server segments become a segmented result', async () => {
+  respondWith({ body: { text: 'one two', language: 'en', segments: [{ start: 0, end: 1, text: 'one' }, { start: 1, end: 2, text: 'two' }] } });
+  const result = await new WhisperServerProvider({ baseUrl: baseUrl }).transcribe({ base64Audio: AUDIO });
+  assert.strictEqual(result.sourceLanguage, 'en');
+  assert.strictEqual(result.segments.length, 2);
+});
+
+// status, body, headers -> expected category, retryable, retryAfterMs
+const ERROR_CASES = [
+  [401, { error: { message: 'Incorrect API key provided' } }, {}, API_ERROR_CATEGORIES.INVALID_KEY, false, null],
+  [403, 'forbidden', {}, API_ERROR_CATEGORIES.INVALID_KEY, false, null],
+  [413, 'Request Entity Too Large', {}, API_ERROR_CATEGORIES.AUDIO_TOO_LARGE, false, null],
+  [429, 'Rate limit reached', { 'Retry-After': '7' }, API_ERROR_CATEGORIES.RATE_LIMITED, true, 7000],
+  [429, { error: { code: 'insufficient_quota' } }, {}, API_ERROR_CATEGORIES.QUOTA_EXHAUSTED, false, null],
+  [503, 'overloaded', {}, API_ERROR_CATEGORIES.TRANSIENT, true, null],
+  [400, 'bad request', {}, API_ERROR_CATEGORIES.OTHER, false, null]
+];
+
+for (const [status, body, headers, category, retryable, retryAfterMs] of ERROR_CASES) {
+  test(`HTTP ${status} maps to ${category} for both providers`, async () => {
+    const providers = [
+      new OpenAICompatibleProvider({ apiKey: 'sk-test', baseUrl: baseUrl }),
+      new WhisperServerProvider({ baseUrl: baseUrl })
+    ];
+    for (const provider of providers) {
+      respondWith({ status, body, headers });
+      await assert.rejects(provider.transcribe({ base64Audio: AUDIO }), (error) => {
+        assert.strictEqual(error.name, 'ApiError');
+        assert.strictEqual(error.status, status);
+        assert.strictEqual(error.category, category);
+        assert.strictEqual(error.retryable, retryable);
+        assert.strictEqual(error.retryAfterMs, retryAfterMs);
+        return true;
+      });
+    }
+  });
+}
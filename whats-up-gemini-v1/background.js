@@ -1,166 +1,1040 @@
 // background.js
 
-// Import JWT utilities
-importScripts('jwt-utils.js');
+// Import the key vault, redaction, the transcription cache, the usage log and transcription providers
+importScripts('key-vault.js', 'pii-redaction.js', 'transcription-rules.js', 'transcription-cache.js', 'transcription-history.js', 'usage-log.js', 'request-scheduler.js', 'transcription-providers.js', 'transcript-export.js', 'tts-providers.js');
 
-let jwtUtils = null;
+const transcriptionCache = new TranscriptionCache();
+const transcriptionHistory = new TranscriptionHistory();
+const usageLog = new UsageLog();
+const keyVault = new KeyVault();
+
+// Every Gemini call shares one requests-per-minute budget and retry policy
+const geminiScheduler = new RequestScheduler();
+const transcriptionJobs = new PersistentJobQueue("transcriptions");
+const workerStartedAt = Date.now();
+
+// User-configurable settings stored in chrome.storage.sync, with defaults
+const DEFAULT_SETTINGS = {
+  autoTranscribeMode: "off", // "off", "all" or "incoming"
+  autoTranscribeScope: "all", // "all" chats or only "selected" chats
+  autoTranscribeChats: [],
+  transcriptionRules: [], // Ordered allow/deny rules, see transcription-rules.js
+  transcriptionRulesDefault: "allow", // Applies when no rule matches
+  autoTranscribeConcurrency: 2,
+  transcriptionProvider: "gemini", // "gemini", "openai" or "whisper"
+  openaiBaseUrl: "https://api.openai.com/v1",
+  openaiModel: "whisper-1",
+  whisperBaseUrl: "http://localhost:9000",
+  whisperModel: "",
+  geminiModel: "gemini-2.0-flash-exp",
+  geminiPromptTemplate: "Please provide a transcript of this audio message.",
+  geminiTargetLanguage: "",
+  geminiTemperature: 1,
+  geminiMaxOutputTokens: 8192,
+  geminiStructuredOutput: true,
+  geminiStreaming: true,
+  geminiInlineLimitMb: 14, // Larger audio goes through the Files API; 14 MB encodes to just under the 20 MB request limit
+  geminiRequestsPerMinute: 10, // 0 disables the budget
+  translationEnabled: false,
+  translationTargetLanguage: "English",
+  translationChatLanguages: {}, // Per-chat overrides keyed by chat WID
+  piiRedactionEnabled: false,
+  piiRedactionTypes: ["email", "phone", "card", "iban", "nationalId"], // Keys of PII_PATTERNS
+  piiCustomPatterns: [], // [{ name, pattern }] with pattern a regular expression source
+  usageMonthlyBudget: 0, // USD; 0 disables budget alerts
+  usagePriceTable: DEFAULT_USAGE_PRICE_TABLE, // Per-model prices, see usage-log.js
+  replyDraftContextMessages: 10,
+  replyDraftSendDirectly: false,
+  ttsProvider: "gemini", // "gemini" or "openai"
+  geminiTtsModel: "gemini-2.5-flash-preview-tts",
+  openaiTtsModel: "tts-1"
+};
 
 chrome.runtime.onInstalled.addListener(async () => {
   console.log("WhatsApp Gemini Transcriber installed.");
   
-  // Initialize JWT utilities
+  // Drop the secret and token left behind by the old JWT scheme
+  await chrome.storage.local.remove(["jwtSecretKey", "currentJWT"]);
+});
+
+// Storage keys holding each provider's credential
+const API_KEY_STORAGE_KEYS = {
+  gemini: "geminiApiKey",
+  openai: "openaiApiKey",
+  whisper: "whisperApiKey"
+};
+
+// Vault key names used when a key is saved without one (and when plaintext keys move into the vault)
+const DEFAULT_KEY_NAMES = {
+  gemini: "Gemini",
+  openai: "OpenAI-compatible",
+  whisper: "Whisper server"
+};
+
+// Settings together with each provider's API key. With the vault enabled the keys
+// come from it; while it is locked they are null and apiKeysLocked is set.
+async function getSettingsWithApiKeys() {
+  const settings = await chrome.storage.sync.get({
+    ...DEFAULT_SETTINGS,
+    geminiApiKey: null,
+    openaiApiKey: null,
+    whisperApiKey: null
+  });
+  settings.apiKeysLocked = false;
+  if (!(await keyVault.isEnabled())) {
+    return settings;
+  }
+
+  const unlocked = !!(await keyVault.getSessionKey());
+  for (const [provider, storageKey] of Object.entries(API_KEY_STORAGE_KEYS)) {
+    settings[storageKey] = unlocked ? await keyVault.getActiveKey(provider) : null;
+  }
+  settings.apiKeysLocked = !unlocked;
+  return settings;
+}
+
+// Popup, history and other extension pages, as opposed to content scripts
+function isExtensionPage(sender) {
+  return (sender.url || "").startsWith(chrome.runtime.getURL(""));
+}
+
+// Run a Gemini call under the shared budget, reporting waits and retries through onProgress
+function scheduleGeminiRequest(task, settings, { signal, onProgress } = {}) {
+  geminiScheduler.setRequestsPerMinute(settings.geminiRequestsPerMinute);
+  return geminiScheduler.run(task, {
+    signal: signal,
+    onWait: (ms) => {
+      if (onProgress) onProgress(`Waiting for the Gemini rate limit (${Math.ceil(ms / 1000)} s)...`);
+    },
+    onRetry: (attempt, ms, error) => {
+      const reason = error.category === API_ERROR_CATEGORIES.RATE_LIMITED ? "Rate limited" : "Gemini is unavailable";
+      if (onProgress) onProgress(`${reason}, retrying in ${Math.ceil(ms / 1000)} s...`);
+    }
+  });
+}
+
+// Compare month-to-date spend with the monthly budget. The outcome is kept in
+// chrome.storage.local as usageBudgetState, where content scripts read it to
+// pause auto-transcription, and shown on the toolbar badge.
+async function checkUsageBudget() {
+  const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  const budget = Number(settings.usageMonthlyBudget) || 0;
+  let spent;
   try {
-    jwtUtils = new JWTUtils();
-    await jwtUtils.initializeSecretKey();
-    console.log("[Background] JWT utilities initialized");
+    spent = UsageLog.totals(await usageLog.query({ from: UsageLog.getMonthStart() }), settings.usagePriceTable).cost;
   } catch (error) {
-    console.error("[Background] Failed to initialize JWT utilities:", error);
+    console.error("[Background] Could not read the usage log:", error);
+    return;
   }
-});
 
-// Function to transcribe audio using Google Gemini API
-async function transcribeAudioWithGemini(base64Audio, mimeType, apiKey) {
+  let level = "ok";
+  if (budget > 0 && spent >= budget) {
+    level = "exceeded";
+  } else if (budget > 0 && spent >= budget * USAGE_BUDGET_WARNING_RATIO) {
+    level = "warning";
+  }
+
+  const month = UsageLog.getMonthKey();
+  const { usageBudgetState } = await chrome.storage.local.get("usageBudgetState");
+  if (level !== "ok" && (!usageBudgetState || usageBudgetState.month !== month || usageBudgetState.level !== level)) {
+    console.warn(`[Background] Monthly budget ${level === "exceeded" ? "reached, auto-transcription paused" : "almost reached"}: $${spent.toFixed(2)} of $${budget.toFixed(2)}`);
+  }
+  await chrome.storage.local.set({ usageBudgetState: { month: month, spent: spent, budget: budget, level: level } });
+
+  chrome.action.setBadgeText({ text: level === "ok" ? "" : `${Math.min(999, Math.floor(spent / budget * 100))}%` });
+  chrome.action.setBadgeBackgroundColor({ color: level === "exceeded" ? "#dc2626" : "#d97706" });
+}
+
+// Whether this month's estimated spend has reached the monthly budget
+async function isUsageBudgetReached() {
+  const { usageBudgetState } = await chrome.storage.local.get("usageBudgetState");
+  return !!usageBudgetState && usageBudgetState.level === "exceeded" && usageBudgetState.month === UsageLog.getMonthKey();
+}
+
+// Log a provider call for the usage page, then re-check the budget. error is
+// the call's failure, if any; aborted calls count as cancelled.
+function recordUsage(kind, { provider = "gemini", model, context = {}, startedAt, usageMetadata = null, error = null, signal = null }) {
+  const cancelled = !!error && ((signal && signal.aborted) || error.name === "AbortError");
+  usageLog.add({
+    kind: kind,
+    provider: provider,
+    model: model,
+    chatId: context.chatId,
+    chatName: context.chatName,
+    duration: kind === "transcription" ? context.duration : 0,
+    latencyMs: Date.now() - startedAt,
+    outcome: cancelled ? "cancelled" : error ? "error" : "success",
+    errorCategory: error && !cancelled ? error.category || API_ERROR_CATEGORIES.OTHER : null,
+    ...UsageLog.fromGeminiUsage(usageMetadata)
+  }).then(checkUsageBudget).catch((error) => {
+    console.error("[Background] Could not record usage:", error);
+  });
+}
+
+// Transcribe audio with the provider selected in the popup; context carries the
+// chat and sender names used by prompt templates, options the abort signal and
+// the partial-text callback used for streaming
+async function transcribeAudio(base64Audio, mimeType, context = {}, options = {}) {
+  const settings = await getSettingsWithApiKeys();
+  if (settings.apiKeysLocked) {
+    throw keyVault.createLockedError();
+  }
+
+  let usage = null;
   try {
-    const requestBody = {
-      contents: [
-        {
-          parts: [
-            {
-              text: "Please provide a transcript of this audio message."
-            },
-            {
-              inline_data: {
-                mime_type: mimeType || "audio/ogg",
-                data: base64Audio // Base64 data is already without prefix
-              }
+    const provider = createTranscriptionProvider(settings);
+    usage = { provider: settings.transcriptionProvider, model: provider.config.model, context: context, startedAt: Date.now(), signal: options.signal };
+    const transcribe = () => provider.transcribe({
+      base64Audio,
+      mimeType,
+      context,
+      signal: options.signal,
+      onPartial: options.onPartial,
+      onProgress: options.onProgress
+    });
+
+    // Gemini results carry usageMetadata, which goes to the usage log rather than the cache
+    const { usageMetadata, ...result } = provider instanceof GeminiProvider
+      ? await scheduleGeminiRequest(transcribe, settings, options)
+      : await transcribe();
+    recordUsage("transcription", { ...usage, usageMetadata: usageMetadata });
+    return result;
+  } catch (error) {
+    console.error("Error transcribing audio:", error);
+    if (usage) {
+      recordUsage("transcription", { ...usage, error: error });
+    }
+    throw error;
+  }
+}
+
+// Run a Gemini generateContent call for a feature other than transcription
+// under the shared budget, logging its usage against the chat in context
+async function generateWithUsage(kind, requestBody, settings, context = {}) {
+  const usage = { model: settings.geminiModel, context: context, startedAt: Date.now() };
+  try {
+    const data = await scheduleGeminiRequest(() => generateGeminiContent(settings.geminiApiKey, settings.geminiModel, requestBody), settings);
+    recordUsage(kind, { ...usage, usageMetadata: data.usageMetadata });
+    return data;
+  } catch (error) {
+    recordUsage(kind, { ...usage, error: error });
+    throw error;
+  }
+}
+
+// Synthesize a voice reply with the configured text-to-speech provider
+async function synthesizeSpeech(text, voice) {
+  const settings = await getSettingsWithApiKeys();
+  if (settings.apiKeysLocked) {
+    throw keyVault.createLockedError();
+  }
+
+  const provider = createTtsProvider(settings);
+  if (provider instanceof GeminiTtsProvider) {
+    return scheduleGeminiRequest(() => provider.synthesize({ text, voice }), settings);
+  }
+  return provider.synthesize({ text, voice });
+}
+
+// Translate a transcript with Gemini, detecting the source language on the way
+async function translateTranscription(text, targetLanguage, settings, context = {}) {
+  const requestBody = {
+    contents: [
+      {
+        parts: [
+          {
+            text: `Detect the language of the following transcript and translate it into ${targetLanguage}. ` +
+              `Reply with the detected language name in English, and the translation.\n\n${text}`
+          }
+        ]
+      }
+    ],
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: {
+        type: "OBJECT",
+        properties: {
+          sourceLanguage: { type: "STRING" },
+          translation: { type: "STRING" }
+        },
+        required: ["sourceLanguage", "translation"]
+      }
+    }
+  };
+
+  const data = await generateWithUsage("translation", requestBody, settings, context);
+  return JSON.parse(getGeminiResponseText(data));
+}
+
+// Ask Gemini for a digest of a chat's voice notes: key points, decisions and action items
+async function summarizeVoiceNotes(notes, chatName, settings, context = {}) {
+  const transcript = notes
+    .map(note => `[${new Date(note.timestamp).toLocaleString()}] ${note.senderName || "Unknown"}: ${note.text}`)
+    .join("\n");
+
+  const requestBody = {
+    contents: [
+      {
+        parts: [
+          {
+            text: `These are transcribed voice messages from the WhatsApp chat "${chatName}", in order. ` +
+              `Summarize them: list the key points, any decisions that were made, and action items with ` +
+              `who owns them when that is clear. Write the digest in the language used by most messages.\n\n${transcript}`
+          }
+        ]
+      }
+    ],
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: {
+        type: "OBJECT",
+        properties: {
+          overview: { type: "STRING" },
+          keyPoints: { type: "ARRAY", items: { type: "STRING" } },
+          decisions: { type: "ARRAY", items: { type: "STRING" } },
+          actionItems: {
+            type: "ARRAY",
+            items: {
+              type: "OBJECT",
+              properties: {
+                task: { type: "STRING" },
+                owner: { type: "STRING" }
+              },
+              required: ["task"]
             }
-          ]
-        }
-      ]
+          }
+        },
+        required: ["overview", "keyPoints", "decisions", "actionItems"]
+      }
+    }
+  };
+
+  const data = await generateWithUsage("summary", requestBody, settings, context);
+  return JSON.parse(getGeminiResponseText(data));
+}
+
+// Ask Gemini for short reply suggestions to a voice note, given recent chat messages
+async function draftReplies(transcript, senderName, recentMessages, settings) {
+  if (!settings.geminiApiKey) {
+    throw new Error("Reply drafts use Gemini. Please set your Gemini API key in the extension popup.");
+  }
+
+  const conversation = recentMessages
+    .map(message => `${message.senderName || "Unknown"}: ${message.body}`)
+    .join("\n");
+
+  const requestBody = {
+    contents: [
+      {
+        parts: [
+          {
+            text: `Recent WhatsApp messages in this chat, oldest first:\n${conversation || "(none)"}\n\n` +
+              `${senderName || "The other person"} then sent a voice message saying:\n${transcript}\n\n` +
+              `Suggest 3 short, distinct replies I could send. Match the language and tone of the conversation.`
+          }
+        ]
+      }
+    ],
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: {
+        type: "OBJECT",
+        properties: {
+          suggestions: { type: "ARRAY", items: { type: "STRING" } }
+        },
+        required: ["suggestions"]
+      }
+    }
+  };
+
+  const data = await generateWithUsage("replyDraft", requestBody, settings);
+  return JSON.parse(getGeminiResponseText(data)).suggestions.slice(0, 3);
+}
+
+// Join the voice messages listed from the Store with their stored transcripts
+// and summarize the ones that have been transcribed
+async function buildVoiceNoteDigest(chat, messages) {
+  const settings = await getSettingsWithApiKeys();
+  if (settings.apiKeysLocked) {
+    throw keyVault.createLockedError();
+  }
+  if (!settings.geminiApiKey) {
+    throw new Error("Voice note summaries use Gemini. Please set your Gemini API key in the extension popup.");
+  }
+
+  const historyEntries = await transcriptionHistory.query({ chatId: await getHistoryIds(chat.id) });
+  const transcripts = new Map(historyEntries.map(entry => [entry.messageId, entry.transcription]));
+
+  const notes = [];
+  for (const message of messages) {
+    let text = (await getHistoryIds(message.messageId)).map(id => transcripts.get(id)).find(Boolean);
+    if (!text) {
+      const cached = await transcriptionCache.get(message.messageId);
+      text = cached ? cached.transcription : null;
+    }
+    if (text) {
+      notes.push({ ...message, text: text });
+    }
+  }
+
+  if (notes.length === 0) {
+    return { digest: null, included: 0, missing: messages.length };
+  }
+
+  const digest = await summarizeVoiceNotes(notes, chat.name, settings, { chatId: chat.id, chatName: chat.name });
+  return { digest: digest, included: notes.length, missing: messages.length - notes.length };
+}
+
+// Pick the translation language for a chat: per-chat override, then the global default
+function getTargetLanguage(settings, chatId) {
+  if (!settings.translationEnabled) return null;
+  const overrides = settings.translationChatLanguages || {};
+  return (chatId && overrides[chatId]) || settings.translationTargetLanguage || null;
+}
+
+// Make sure a result carries a translation into the chat's current target language.
+// With allowRequest false a missing translation is left missing instead of requested.
+async function applyTranslation(result, context = {}, { allowRequest = true } = {}) {
+  const settings = await getSettingsWithApiKeys();
+  const targetLanguage = getTargetLanguage(settings, context.chatId);
+
+  if (!targetLanguage) {
+    // Translation was switched off since this result was produced
+    return result.targetLanguage ? { ...result, translation: null, targetLanguage: null } : result;
+  }
+
+  if (result.targetLanguage === targetLanguage || !allowRequest) {
+    return result;
+  }
+
+  try {
+    const { sourceLanguage, translation } = await translateTranscription(result.transcription, targetLanguage, settings, context);
+    const sameLanguage = sourceLanguage.toLowerCase() === targetLanguage.toLowerCase();
+    return {
+      ...result,
+      sourceLanguage: sourceLanguage,
+      targetLanguage: targetLanguage,
+      translation: sameLanguage ? null : translation
     };
+  } catch (error) {
+    // Keep the transcript even when translation fails
+    console.error("[Background] Translation failed:", error);
+    return result;
+  }
+}
+
+// The configured redactor, or null while redaction is switched off
+async function getPiiRedactor() {
+  const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  if (!settings.piiRedactionEnabled) return null;
+  return new PiiRedactor({
+    types: settings.piiRedactionTypes,
+    customPatterns: settings.piiCustomPatterns,
+    idKey: await getIdPseudonymKey()
+  });
+}
+
+// HMAC key behind the pseudonyms that replace WhatsApp IDs, created on first
+// use and kept on this device so a chat keeps the same pseudonym
+let idPseudonymKeyPromise = null;
+
+function getIdPseudonymKey() {
+  if (!idPseudonymKeyPromise) {
+    idPseudonymKeyPromise = (async () => {
+      let { piiPseudonymKey } = await chrome.storage.local.get("piiPseudonymKey");
+      if (!piiPseudonymKey) {
+        piiPseudonymKey = keyVault.toBase64(crypto.getRandomValues(new Uint8Array(32)));
+        await chrome.storage.local.set({ piiPseudonymKey: piiPseudonymKey });
+      }
+      return crypto.subtle.importKey("raw", keyVault.fromBase64(piiPseudonymKey), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+    })();
+    idPseudonymKeyPromise.catch(() => {
+      idPseudonymKeyPromise = null;
+    });
+  }
+  return idPseudonymKeyPromise;
+}
+
+// The IDs a chat's or message's history entries may be stored under: the real
+// one, and the pseudonym it gets while redaction is on
+async function getHistoryIds(id) {
+  const pseudonym = await PiiRedactor.pseudonymizeIds(id, await getIdPseudonymKey());
+  return pseudonym === id ? [id] : [id, pseudonym];
+}
+
+
+// Mask a result for storage and display. The placeholder map rides along as
+// result.redactions for click-to-reveal and is never written to the cache or history.
+function redactTranscriptionResult(redactor, result, values = {}) {
+  if (!redactor) return { result: result, values: values };
+  return redactor.redactResult(result, values);
+}
+
+function withRedactions(result, values) {
+  return Object.keys(values).length > 0 ? { ...result, redactions: values } : result;
+}
+
+// Placeholder originals are kept per message in session storage, which is held
+// in memory until the browser closes, so cached transcripts stay revealable
+const REDACTION_VALUES_PREFIX = "piiRedactions:";
 
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${apiKey}`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(requestBody)
+async function loadRedactionValues(messageId) {
+  if (!messageId) return {};
+  const key = REDACTION_VALUES_PREFIX + messageId;
+  const stored = await chrome.storage.session.get(key);
+  return stored[key] || {};
+}
+
+async function saveRedactionValues(messageId, values) {
+  const originals = Object.fromEntries(Object.entries(values).filter(([, original]) => original !== null));
+  if (!messageId || Object.keys(originals).length === 0) return;
+  await chrome.storage.session.set({ [REDACTION_VALUES_PREFIX + messageId]: originals });
+}
+
+async function clearRedactionValues() {
+  const stored = await chrome.storage.session.get(null);
+  await chrome.storage.session.remove(Object.keys(stored).filter(key => key.startsWith(REDACTION_VALUES_PREFIX)));
+}
+
+// Full transcription pipeline: cache lookup, provider call, redaction,
+// translation, cache write
+async function runTranscription(request, options = {}) {
+  const redactor = await getPiiRedactor();
+  const values = await loadRedactionValues(request.messageId);
+
+  // Serve from cache when this audio was already transcribed
+  const cached = request.messageId ? await transcriptionCache.get(request.messageId, request.filehash) : null;
+  let result = cached;
+  if (cached) {
+    console.log("[Background] Serving cached transcription for message:", request.messageId);
+  } else {
+    // Keep the request on disk until it settles, so a service worker restart
+    // part-way through can resume it
+    const jobId = options.jobId || await transcriptionJobs.add({
+      messageId: request.messageId,
+      filehash: request.filehash,
+      base64Audio: request.base64Audio,
+      mimeType: request.mimeType,
+      context: request.context
+    }).catch((error) => {
+      console.warn("[Background] Could not persist transcription job:", error);
+      return null;
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+    // Names in the prompt context and streamed text are masked as well, so
+    // nothing unredacted reaches the model's prompt or the chat
+    let context = request.context;
+    const transcribeOptions = { ...options };
+    if (redactor && context) {
+      context = { ...context, chatName: redactor.redactText(context.chatName), senderName: redactor.redactText(context.senderName) };
+    }
+    if (redactor && options.onPartial) {
+      // Each partial holds the whole text so far; redacting it from the saved
+      // placeholders numbers them the way the final transcript will
+      transcribeOptions.onPartial = (text) => {
+        const partialValues = { ...values };
+        options.onPartial(redactor.redactText(text, partialValues), partialValues);
+      };
+    }
+
+    try {
+      // Transcribe using the configured provider
+      result = await transcribeAudio(request.base64Audio, request.mimeType, context, transcribeOptions);
+    } finally {
+      if (jobId) {
+        transcriptionJobs.remove(jobId).catch(error => console.warn("[Background] Could not remove transcription job:", error));
+      }
     }
+  }
 
-    const data = await response.json();
-    
-    if (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts[0]) {
-      return data.candidates[0].content.parts[0].text;
+  // Redact before translating so the translation request only sees placeholders,
+  // then again in case the translation introduced anything
+  result = redactTranscriptionResult(redactor, result, values).result;
+  const translated = redactTranscriptionResult(redactor, await applyTranslation(result, request.context), values).result;
+  await saveRedactionValues(request.messageId, values);
+
+  if (request.messageId && translated !== cached) {
+    await transcriptionCache.set(request.messageId, request.filehash, translated);
+  }
+
+  // Record the transcript in the searchable history
+  if (request.messageId && request.context) {
+    if (redactor) {
+      await transcriptionHistory.addRedacted(redactor, request.messageId, request.context, translated);
     } else {
-      throw new Error("Unexpected response format from Gemini API");
+      await transcriptionHistory.add(request.messageId, request.context, translated);
     }
+  }
+
+  return { result: withRedactions(translated, values), cached: !!cached };
+}
+
+// Finish transcriptions interrupted by a service worker restart. Results go to
+// the cache and history, where the chat picks them up. Jobs that keep failing
+// to complete (or are older than a day) are dropped.
+async function resumeTranscriptionJobs() {
+  let jobs;
+  try {
+    jobs = await transcriptionJobs.getAll();
   } catch (error) {
-    console.error("Error transcribing audio:", error);
-    throw error;
+    console.error("[Background] Could not read pending transcription jobs:", error);
+    return;
+  }
+
+  const settings = await chrome.storage.sync.get({
+    transcriptionRules: DEFAULT_SETTINGS.transcriptionRules,
+    transcriptionRulesDefault: DEFAULT_SETTINGS.transcriptionRulesDefault
+  });
+  const rules = new TranscriptionRules(settings.transcriptionRules, settings.transcriptionRulesDefault);
+
+  for (const job of jobs) {
+    if (job.enqueuedAt >= workerStartedAt) continue; // Started by this worker
+
+    if (job.resumeCount >= 2 || Date.now() - job.enqueuedAt > 24 * 60 * 60 * 1000) {
+      console.warn("[Background] Dropping stale transcription job for message:", job.payload.messageId);
+      await transcriptionJobs.remove(job.id);
+      continue;
+    }
+
+    // The chat may have been denied since the job was queued. Labels and saved
+    // contacts cannot be looked up from here, so a deny rule on them drops it too.
+    const { allowed } = rules.evaluate(TranscriptionRules.getBasicFacts(TranscriptionRules.getChatId(job.payload.messageId)));
+    if (!allowed) {
+      console.warn("[Background] Dropping transcription job denied by the transcription rules:", job.payload.messageId);
+      await transcriptionJobs.remove(job.id);
+      continue;
+    }
+
+    console.log("[Background] Resuming transcription for message:", job.payload.messageId);
+    await transcriptionJobs.update({ ...job, resumeCount: job.resumeCount + 1 });
+    try {
+      await runTranscription(job.payload, { jobId: job.id });
+    } catch (error) {
+      console.error("[Background] Resumed transcription failed:", error);
+    }
+  }
+}
+
+resumeTranscriptionJobs();
+checkUsageBudget().catch(error => console.error("[Background] Could not check the usage budget:", error));
+
+const KEY_VAULT_ACTIONS = [
+  "getKeyVaultStatus",
+  "createKeyVault",
+  "unlockKeyVault",
+  "lockKeyVault",
+  "rotateKeyVault",
+  "disableKeyVault",
+  "setActiveVaultKey",
+  "removeVaultKey"
+];
+
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== "string" || passphrase.length < 8) {
+    throw new Error("The passphrase must be at least 8 characters long.");
   }
 }
 
+// Enable, unlock, lock, rotate or disable the key vault, or manage its named keys.
+// Resolves to the vault status, which never includes key material.
+async function handleKeyVaultRequest(request) {
+  switch (request.action) {
+    case "createKeyVault": {
+      checkPassphrase(request.passphrase);
+      // Move the keys stored in plaintext into the vault
+      const storageKeys = Object.values(API_KEY_STORAGE_KEYS);
+      const stored = await chrome.storage.sync.get(storageKeys);
+      const initialKeys = Object.entries(API_KEY_STORAGE_KEYS)
+        .filter(([, storageKey]) => stored[storageKey])
+        .map(([provider, storageKey]) => ({ name: DEFAULT_KEY_NAMES[provider], provider: provider, apiKey: stored[storageKey] }));
+      await keyVault.create(request.passphrase, initialKeys);
+      await chrome.storage.sync.remove(storageKeys);
+      console.log("[Background] Key vault enabled with", initialKeys.length, "key(s)");
+      break;
+    }
+    case "unlockKeyVault":
+      await keyVault.unlock(request.passphrase);
+      break;
+    case "lockKeyVault":
+      await keyVault.lock();
+      break;
+    case "rotateKeyVault":
+      checkPassphrase(request.newPassphrase);
+      await keyVault.rotate(request.currentPassphrase, request.newPassphrase);
+      break;
+    case "disableKeyVault": {
+      // Active keys go back to plaintext storage so transcription keeps working
+      const activeKeys = await keyVault.disable(request.passphrase);
+      const restored = {};
+      Object.entries(activeKeys).forEach(([provider, apiKey]) => {
+        if (API_KEY_STORAGE_KEYS[provider]) restored[API_KEY_STORAGE_KEYS[provider]] = apiKey;
+      });
+      await chrome.storage.sync.set(restored);
+      console.log("[Background] Key vault disabled");
+      break;
+    }
+    case "setActiveVaultKey":
+      await keyVault.setActiveKey(request.provider, request.name);
+      break;
+    case "removeVaultKey":
+      await keyVault.removeKey(request.name);
+      break;
+  }
+
+  return { status: await keyVault.getStatus() };
+}
+
+// Build a descriptive file name for an export scope
+function getExportFileName(scope, entries) {
+  const date = new Date().toISOString().slice(0, 10);
+  let label = "all";
+  if (scope.messageId) {
+    label = "message";
+  } else if (scope.chatId) {
+    label = (entries[0] && entries[0].chatName) || scope.chatId;
+  } else if (scope.from || scope.to) {
+    label = "range";
+  }
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "chat";
+  return `whatsapp-transcripts-${slug}-${date}`;
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // Handle JWT token requests
-  if (request.action === "getJWTToken") {
-    console.log("[Background] JWT token requested");
-    
+  if (request.action === "injectPageRpc") {
+    // inject.js ends with its per-load RPC secret, which comes back here as the
+    // injection result instead of through anything the page can read
+    chrome.scripting.executeScript({
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+      world: "MAIN",
+      files: ["inject.js"]
+    }).then(([injection]) => {
+      sendResponse({ secret: injection.result });
+    }).catch(error => {
+      console.error("[Background] Failed to inject inject.js:", error);
+      sendResponse({ error: error.message });
+    });
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
+
+  if (request.action === "getAudioData") {
+    console.log("Received getAudioData request for message ID:", request.messageId);
+    // Forward the request to the content script to be handled by the injected script
+    chrome.tabs.sendMessage(sender.tab.id, { action: "forwardGetAudioData", messageId: request.messageId }, (response) => {
+      sendResponse(response); // Send the response from the injected script back to the content script
+    });
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
+
+  if (request.action === "getCachedTranscription") {
     (async () => {
       try {
-        if (!jwtUtils) {
-          jwtUtils = new JWTUtils();
-          await jwtUtils.initializeSecretKey();
+        const cached = await transcriptionCache.get(request.messageId, request.filehash);
+        if (!cached) {
+          sendResponse({ cached: false });
+          return;
         }
-        
-        const token = await jwtUtils.getValidToken(request.customClaims || {});
-        sendResponse({ success: true, token: token });
+
+        // Showing a cached bubble only pays for a translation while translation is
+        // switched on, the Gemini key can be read and the monthly budget has room;
+        // otherwise it is shown as stored. A locked vault would fail every request
+        // and fill the usage log with errors.
+        const { geminiApiKey } = await getSettingsWithApiKeys();
+        const allowRequest = !!geminiApiKey && !(await isUsageBudgetReached());
+        const translated = await applyTranslation(cached, request.context, { allowRequest: allowRequest });
+
+        // Entries cached before redaction was switched on are masked now
+        const redactor = await getPiiRedactor();
+        const { result, values } = redactTranscriptionResult(redactor, translated, await loadRedactionValues(request.messageId));
+        await saveRedactionValues(request.messageId, values);
+        if (result !== cached) {
+          await transcriptionCache.set(request.messageId, request.filehash, result);
+        }
+        sendResponse({ cached: true, result: withRedactions(result, values) });
       } catch (error) {
-        console.error("[Background] JWT token generation failed:", error);
-        sendResponse({ success: false, error: error.message });
+        // The content script falls back to transcribing the audio again
+        console.error("[Background] Reading cached transcription failed:", error);
+        sendResponse({ cached: false });
       }
     })();
-    
     return true; // Indicate that sendResponse will be called asynchronously
   }
 
-  // Handle JWT token validation
-  if (request.action === "validateJWTToken") {
-    console.log("[Background] JWT token validation requested");
+  if (request.action === "transcribeAudio") {
+    console.log("Received transcribeAudio request (base64):", request.base64Audio.substring(0, 50) + "...");
     
     (async () => {
       try {
-        if (!jwtUtils) {
-          jwtUtils = new JWTUtils();
-          await jwtUtils.initializeSecretKey();
-        }
-        
-        const validation = await jwtUtils.validateToken(request.token);
-        sendResponse({ success: true, validation: validation });
+        sendResponse(await runTranscription(request));
       } catch (error) {
-        console.error("[Background] JWT token validation failed:", error);
-        sendResponse({ success: false, error: error.message });
+        console.error("Transcription error:", error);
+        sendResponse({ error: error.message, category: error.category });
       }
     })();
     
     return true; // Indicate that sendResponse will be called asynchronously
   }
 
-  if (request.action === "getAudioData") {
-    console.log("Received getAudioData request for message ID:", request.messageId);
-    // Forward the request to the content script to be handled by the injected script
-    chrome.tabs.sendMessage(sender.tab.id, { action: "forwardGetAudioData", messageId: request.messageId }, (response) => {
-      sendResponse(response); // Send the response from the injected script back to the content script
+  if (request.action === "saveApiKey") {
+    const provider = request.provider || "gemini";
+    const storageKey = API_KEY_STORAGE_KEYS[provider];
+    if (!storageKey) {
+      sendResponse({ error: "Unknown provider: " + request.provider });
+      return;
+    }
+    if (!isExtensionPage(sender)) {
+      sendResponse({ error: "API keys can only be changed from the extension popup." });
+      return;
+    }
+
+    (async () => {
+      try {
+        // With the vault enabled the key is stored encrypted under a name
+        if (await keyVault.isEnabled()) {
+          await keyVault.setKey(request.name || DEFAULT_KEY_NAMES[provider], provider, request.apiKey);
+        } else {
+          await chrome.storage.sync.set({ [storageKey]: request.apiKey });
+        }
+        console.log(`API Key saved for provider: ${provider}`);
+        sendResponse({ status: "API Key saved." });
+      } catch (error) {
+        console.error("[Background] Saving API key failed:", error);
+        sendResponse({ error: error.message });
+      }
+    })();
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
+
+  if (request.action === "getCacheStats") {
+    transcriptionCache.getStats().then((stats) => {
+      sendResponse(stats);
+    }).catch((error) => {
+      sendResponse({ error: error.message });
     });
     return true; // Indicate that sendResponse will be called asynchronously
   }
 
-  if (request.action === "transcribeAudio") {
-    console.log("Received transcribeAudio request (base64):", request.base64Audio.substring(0, 50) + "...");
-    
-    // Get API key from storage
-    chrome.storage.sync.get(["geminiApiKey"], async (result) => {
-      if (!result.geminiApiKey) {
-        sendResponse({ error: "Gemini API key not found. Please set it in the extension popup." });
-        return;
+  // Suggest replies to a transcribed voice note
+  if (request.action === "draftReplies") {
+    (async () => {
+      try {
+        const settings = await getSettingsWithApiKeys();
+        if (settings.apiKeysLocked) {
+          throw keyVault.createLockedError();
+        }
+        const suggestions = await draftReplies(request.transcript, request.senderName, request.recentMessages || [], settings);
+        sendResponse({ suggestions: suggestions });
+      } catch (error) {
+        console.error("[Background] Reply drafting failed:", error);
+        sendResponse({ error: error.message });
       }
+    })();
+
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
+
+  // Voices available for voice replies with the configured provider
+  if (request.action === "getTtsVoices") {
+    chrome.storage.sync.get({ ttsProvider: DEFAULT_SETTINGS.ttsProvider }, (settings) => {
+      sendResponse({ provider: settings.ttsProvider, voices: TTS_VOICES[settings.ttsProvider] || TTS_VOICES.gemini });
+    });
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
+
+  if (request.action === "synthesizeSpeech") {
+    synthesizeSpeech(request.text, request.voice).then((audio) => {
+      sendResponse(audio);
+    }).catch((error) => {
+      console.error("[Background] Speech synthesis failed:", error);
+      sendResponse({ error: error.message });
+    });
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
+
+  // Summarize the transcribed voice notes of a chat
+  if (request.action === "summarizeVoiceNotes") {
+    buildVoiceNoteDigest(request.chat, request.messages || []).then((response) => {
+      sendResponse(response);
+    }).catch((error) => {
+      console.error("[Background] Voice note digest failed:", error);
+      sendResponse({ error: error.message });
+    });
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
 
+  // Export stored transcripts for one message, one chat or a date range
+  if (request.action === "exportTranscripts") {
+    (async () => {
       try {
-        // Transcribe using Gemini API
-        const transcription = await transcribeAudioWithGemini(request.base64Audio, request.mimeType, result.geminiApiKey);
-        
-        sendResponse({ transcription: transcription });
+        const scope = request.scope || {};
+        const entries = await transcriptionHistory.query({
+          messageId: scope.messageId ? await getHistoryIds(scope.messageId) : null,
+          chatId: scope.chatId ? await getHistoryIds(scope.chatId) : null,
+          from: scope.from,
+          to: scope.to
+        });
+        // History written before redaction was switched on is masked on the way out
+        const redactor = await getPiiRedactor();
+        const redactedEntries = [];
+        for (const entry of entries) {
+          const { result } = redactTranscriptionResult(redactor, entry);
+          redactedEntries.push(redactor ? await redactor.redactParticipants(result) : result);
+        }
+        const fileScope = redactor ? { ...scope, chatId: await redactor.redactIds(scope.chatId) } : scope;
+        const { content, mimeType, extension } = exportTranscripts(redactedEntries, request.format);
+        sendResponse({
+          content: content,
+          mimeType: mimeType,
+          filename: `${getExportFileName(fileScope, redactedEntries)}.${extension}`
+        });
       } catch (error) {
-        console.error("Transcription error:", error);
+        console.error("[Background] Export failed:", error);
         sendResponse({ error: error.message });
       }
+    })();
+
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
+
+  if (request.action === "clearTranscriptionCache") {
+    Promise.all([transcriptionCache.clear(), clearRedactionValues()]).then(() => {
+      sendResponse({ status: "Cache cleared." });
+    }).catch((error) => {
+      sendResponse({ error: error.message });
     });
-    
     return true; // Indicate that sendResponse will be called asynchronously
   }
 
-  if (request.action === "saveApiKey") {
-    chrome.storage.sync.set({ geminiApiKey: request.apiKey }, () => {
-      console.log("Gemini API Key saved.");
-      sendResponse({ status: "API Key saved." });
+  if (request.action === "clearUsageLog") {
+    usageLog.clear().then(() => {
+      sendResponse({ status: "Usage log cleared." });
+      checkUsageBudget().catch(error => console.error("[Background] Could not check the usage budget:", error));
+    }).catch((error) => {
+      sendResponse({ error: error.message });
     });
     return true; // Indicate that sendResponse will be called asynchronously
   }
 
-  if (request.action === "getApiKey") {
-    chrome.storage.sync.get(["geminiApiKey"], (result) => {
-      sendResponse({ apiKey: result.geminiApiKey });
+  if (request.action === "getSettings") {
+    chrome.storage.sync.get(DEFAULT_SETTINGS, (settings) => {
+      sendResponse({ settings: settings });
+    });
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
+
+  if (request.action === "saveSettings") {
+    const settings = {};
+    Object.keys(request.settings || {}).forEach((key) => {
+      if (key in DEFAULT_SETTINGS) {
+        settings[key] = request.settings[key];
+      }
+    });
+    chrome.storage.sync.set(settings, () => {
+      sendResponse({ status: "Settings saved." });
+      if ("usageMonthlyBudget" in settings || "usagePriceTable" in settings) {
+        checkUsageBudget().catch(error => console.error("[Background] Could not check the usage budget:", error));
+      }
     });
     return true; // Indicate that sendResponse will be called asynchronously
   }
+
+  // Keys are only handed to extension pages, and never out of the vault
+  if (request.action === "getApiKey") {
+    const provider = request.provider || "gemini";
+    const storageKey = API_KEY_STORAGE_KEYS[provider];
+    if (!storageKey) {
+      sendResponse({ error: "Unknown provider: " + request.provider });
+      return;
+    }
+    if (!isExtensionPage(sender)) {
+      sendResponse({ error: "API keys are not available to web pages." });
+      return;
+    }
+
+    (async () => {
+      try {
+        const status = await keyVault.getStatus();
+        if (status.enabled) {
+          sendResponse({ apiKey: null, inVault: true, stored: !!status.activeKeys[provider] });
+          return;
+        }
+        const result = await chrome.storage.sync.get([storageKey]);
+        sendResponse({ apiKey: result[storageKey] });
+      } catch (error) {
+        console.error("[Background] Reading API key failed:", error);
+        sendResponse({ error: error.message });
+      }
+    })();
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
+
+  // Key vault management, only from extension pages
+  if (KEY_VAULT_ACTIONS.includes(request.action)) {
+    if (!isExtensionPage(sender)) {
+      sendResponse({ error: "The key vault can only be managed from the extension popup." });
+      return;
+    }
+    handleKeyVaultRequest(request)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error("[Background] Key vault request failed:", error);
+        sendResponse({ error: error.message });
+      });
+    return true; // Indicate that sendResponse will be called asynchronously
+  }
 });
 
+// Streaming transcription over a long-lived port: the content script posts one
+// "transcribe" message, receives "progress" and "partial" updates and a final "complete" or
+// "error", and can post "cancel" (or disconnect) to abort the request
+function handleTranscriptionStream(port) {
+  const controller = new AbortController();
+  let disconnected = false;
+
+  const post = (message) => {
+    if (!disconnected) {
+      port.postMessage(message);
+    }
+  };
+
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+
+  port.onMessage.addListener(async (message) => {
+    if (message.action === "cancel") {
+      console.log("[Background] Transcription cancelled for message:", message.messageId);
+      controller.abort();
+      return;
+    }
+
+    if (message.action !== "transcribe") return;
+
+    try {
+      const response = await runTranscription(message, {
+        signal: controller.signal,
+        onPartial: (text, redactions) => post({ type: "partial", text: text, redactions: redactions }),
+        onProgress: (text) => post({ type: "progress", text: text })
+      });
+      post({ type: "complete", ...response });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        post({ type: "error", error: "Transcription cancelled.", cancelled: true });
+      } else {
+        console.error("Transcription error:", error);
+        post({ type: "error", error: error.message, category: error.category });
+      }
+    }
+  });
+}
+
 // Keep-alive mechanism
 chrome.runtime.onConnect.addListener(port => {
+  if (port.name === "transcription-stream") {
+    handleTranscriptionStream(port);
+    return;
+  }
+
   if (port.name === "keep-alive") {
     setTimeout(() => port.disconnect(), 250 * 1000); // Disconnect after 250 seconds
     port.onDisconnect.addListener(() => {
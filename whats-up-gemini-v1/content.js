@@ -11,97 +11,617 @@ console.log("Whats up Gemini? content script loaded.");
   }
   window.hasWhatsAppGeminiTranscriberLoaded = true;
 
-  // First inject page-compatible JWT utilities
-  const jwtScript = document.createElement("script");
-  jwtScript.src = chrome.runtime.getURL("page-jwt-utils.js");
-  jwtScript.onload = () => {
-    console.log("[Content] Page JWT utilities loaded successfully");
-    jwtScript.remove();
-    
-    // Now inject lib.js to expose WhatsApp's internal Store objects
-    const libScript = document.createElement("script");
-    libScript.src = chrome.runtime.getURL("lib.js");
-    libScript.onload = () => {
-      console.log("[Content] lib.js loaded successfully");
-      libScript.remove();
-      
-      // Wait a moment for lib.js to execute and expose Store objects
-      setTimeout(() => {
-        // Now inject the main inject script
-        const injectScript = document.createElement("script");
-        injectScript.src = chrome.runtime.getURL("inject.js");
-        injectScript.onload = () => {
-          console.log("[Content] inject.js loaded successfully");
-          injectScript.remove();
-        };
-        injectScript.onerror = (error) => {
-          console.error("[Content] Failed to load inject.js:", error);
-        };
-        (document.head || document.documentElement).appendChild(injectScript);
-      }, 500); // Give lib.js time to execute
-    };
-    libScript.onerror = (error) => {
-      console.error("[Content] Failed to load lib.js:", error);
-    };
-    (document.head || document.documentElement).appendChild(libScript);
-  };
-  jwtScript.onerror = (error) => {
-    console.error("[Content] Failed to load page-jwt-utils.js:", error);
-  };
-  (document.head || document.documentElement).appendChild(jwtScript);
+  // DOM lookups with fallback strategies (selectors.js, loaded before this script)
+  const selectors = new WhatsAppSelectors();
 
-  // Listen for custom events from the injected script (responses to audio data requests)
-  document.addEventListener("whatsappGeminiTranscriber_audioDataResponse", (event) => {
-    const { messageId, base64Audio, mimeType, error } = event.detail;
-    // Find the button associated with this messageId and update its state or trigger transcription
-    const voiceMessageElement = document.querySelector(`[data-id="${messageId}"]`);
-    if (!voiceMessageElement) return;
+  // Authenticated calls into inject.js with correlation IDs, timeouts and cancellation (page-rpc.js)
+  const pageRpc = new PageRpcClient();
 
-    const transcribeButton = voiceMessageElement.querySelector(".transcribe-button");
-    if (!transcribeButton) return;
+  // Add an extension script to the page context, resolving once it has run
+  function injectPageScript(fileName) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = chrome.runtime.getURL(fileName);
+      script.onload = () => {
+        console.log(`[Content] ${fileName} loaded successfully`);
+        script.remove();
+        resolve();
+      };
+      script.onerror = (error) => {
+        console.error(`[Content] Failed to load ${fileName}:`, error);
+        reject(error);
+      };
+      (document.head || document.documentElement).appendChild(script);
+    });
+  }
 
-    if (error) {
-      console.error("Error getting audio data from injected script:", error);
-      displayTranscriptionResult(voiceMessageElement, `Error: ${error}`, true);
-      transcribeButton.innerText = "Transcribe";
-      transcribeButton.disabled = false;
-      transcribeButton.style.backgroundColor = "#e0e0e0";
-      return;
+  // Have the background run inject.js in the page and hand back the RPC secret
+  // it created, so the secret never passes through the page's DOM
+  async function injectRpcServer() {
+    const response = await chrome.runtime.sendMessage({ action: "injectPageRpc" });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : "No response from the extension.");
     }
+    console.log("[Content] inject.js loaded successfully");
+    return response.secret;
+  }
 
-    if (!base64Audio) {
-      console.warn("Base64 audio data not received from injected script.");
-      displayTranscriptionResult(voiceMessageElement, "Error: Audio data not found.", true);
-      transcribeButton.innerText = "Transcribe";
-      transcribeButton.disabled = false;
-      transcribeButton.style.backgroundColor = "#e0e0e0";
-      return;
+  // The Store capability registry first so it sees lib.js's module lookups, then
+  // lib.js to expose WhatsApp's internal Store objects, and finally the main
+  // inject script, whose RPC secret opens the channel
+  injectPageScript("store-capabilities.js")
+    .then(() => injectPageScript("lib.js"))
+    .then(() => new Promise(resolve => setTimeout(resolve, 500))) // Give lib.js time to execute
+    .then(() => injectRpcServer())
+    .then(secret => pageRpc.connect(secret))
+    .then(() => loadStoreCapabilities())
+    .catch(error => console.error("[Content] Failed to connect to the page script:", error));
+
+  // Ask the injected script for a message's decrypted audio
+  async function requestAudioData(messageId, signal) {
+    // Last check before any audio leaves the page
+    await assertTranscriptionAllowed(TranscriptionRules.getChatId(messageId));
+
+    // Large videos can take a while to download and decrypt
+    const audio = await pageRpc.call("getAudioData", { messageId: messageId }, { timeoutMs: 120000, signal: signal });
+
+    if (!audio.base64Audio) {
+      throw new Error("Audio data not found.");
+    }
+    return audio;
+  }
+
+  // Stream a transcription from the service worker over a dedicated port,
+  // reporting partial text as it arrives; aborting the signal cancels the request
+  function streamTranscription(payload, { onPartial, onProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: "transcription-stream" });
+      let settled = false;
+
+      const finish = (callback) => {
+        if (settled) return;
+        settled = true;
+        if (signal) signal.removeEventListener("abort", onAbort);
+        port.disconnect();
+        callback();
+      };
+
+      const onAbort = () => {
+        port.postMessage({ action: "cancel", messageId: payload.messageId });
+        const error = new Error("Transcription cancelled.");
+        error.cancelled = true;
+        finish(() => reject(error));
+      };
+
+      port.onMessage.addListener((message) => {
+        if (message.type === "partial") {
+          if (onPartial) onPartial(message.text, message.redactions);
+        } else if (message.type === "progress") {
+          if (onProgress) onProgress(message.text);
+        } else if (message.type === "complete") {
+          finish(() => resolve(message));
+        } else if (message.type === "error") {
+          const error = new Error(message.error);
+          error.cancelled = !!message.cancelled;
+          error.category = message.category;
+          finish(() => reject(error));
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        finish(() => reject(new Error("Connection to the extension was lost.")));
+      });
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener("abort", onAbort);
+      }
+
+      port.postMessage({ action: "transcribe", ...payload });
+    });
+  }
+
+  // Fetch a transcription for a message, from the cache or by downloading its audio
+  async function fetchTranscription(messageId, { onPartial, onProgress, signal } = {}) {
+    // Reuse a cached transcription instead of downloading the audio again
+    const cachedResponse = await chrome.runtime.sendMessage({
+      action: "getCachedTranscription",
+      messageId: messageId,
+      context: { chatId: TranscriptionRules.getChatId(messageId) }
+    });
+    if (cachedResponse && cachedResponse.cached) {
+      return cachedResponse.result;
     }
 
+    console.log("Requesting audio data for message ID:", messageId);
+    const { base64Audio, mimeType, filehash, context } = await requestAudioData(messageId, signal);
+
     console.log("Sending base64 audio for transcription (first 50 chars):", base64Audio.substring(0, 50));
-          
-    chrome.runtime.sendMessage({ action: "transcribeAudio", base64Audio: base64Audio, mimeType: mimeType }, (response) => {
-      console.log("Transcription request response:", response);
-      
+
+    const response = await streamTranscription({
+      base64Audio: base64Audio,
+      mimeType: mimeType,
+      messageId: messageId,
+      filehash: filehash,
+      context: context
+    }, { onPartial, onProgress, signal });
+    console.log("Transcription request response:", response);
+
+    return response.result;
+  }
+
+  // Transcribe one voice message and render the result in its bubble
+  async function transcribeVoiceMessage(voiceMessageElement, messageContainer) {
+    const transcribeButton = messageContainer.querySelector(".transcribe-button");
+    const messageId = selectors.getMessageId(voiceMessageElement);
+    if (!messageId) {
+      console.warn("Message ID not found for voice message element.");
+      displayTranscriptionResult(messageContainer, "Error: Message ID not found.", true);
+      return;
+    }
+
+    // Show loading state
+    if (transcribeButton) {
+      transcribeButton.innerText = "Transcribing...";
+      transcribeButton.disabled = true;
+      transcribeButton.style.backgroundColor = "#ccc";
+    }
+
+    const controller = new AbortController();
+    const progress = { text: "", redactions: null, status: "Transcribing..." };
+    const renderProgress = () => displayPartialTranscription(messageContainer, progress, () => controller.abort());
+    renderProgress();
+
+    try {
+      const result = await fetchTranscription(messageId, {
+        signal: controller.signal,
+        onPartial: (text, redactions) => {
+          progress.text = text;
+          progress.redactions = redactions;
+          renderProgress();
+        },
+        onProgress: (status) => {
+          progress.status = status;
+          renderProgress();
+        }
+      });
+      displayTranscriptionResult(messageContainer, result, false);
+    } catch (error) {
+      if (error.cancelled) {
+        messageContainer.querySelector(".transcription-result")?.remove();
+      } else {
+        console.error("[Content] Transcription failed:", error);
+        displayTranscriptionResult(messageContainer, error.message, true, error.category);
+      }
+    } finally {
       // Reset button state
-      transcribeButton.innerText = "Transcribe";
-      transcribeButton.disabled = false;
-      transcribeButton.style.backgroundColor = "#e0e0e0";
-      
-      if (response.error) {
-        // Display error message
-        displayTranscriptionResult(voiceMessageElement, `Error: ${response.error}`, true);
-      } else if (response.transcription) {
-        // Display transcription result
-        displayTranscriptionResult(voiceMessageElement, response.transcription, false);
+      if (transcribeButton) {
+        transcribeButton.innerText = "Transcribe";
+        transcribeButton.disabled = false;
+        transcribeButton.style.backgroundColor = "#e0e0e0";
+      }
+    }
+  }
+
+  // Extension settings used in the page, kept in sync with chrome.storage
+  let extensionSettings = {
+    autoTranscribeMode: "off",
+    autoTranscribeScope: "all",
+    autoTranscribeChats: [],
+    autoTranscribeConcurrency: 2,
+    replyDraftContextMessages: 10,
+    replyDraftSendDirectly: false,
+    transcriptionRules: [],
+    transcriptionRulesDefault: "allow"
+  };
+
+  // Transcription rules are only checked once this settles, since the empty
+  // defaults above would allow every chat
+  const settingsLoaded = new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: "getSettings" }, (response) => {
+      if (!chrome.runtime.lastError && response) {
+        extensionSettings = { ...extensionSettings, ...response.settings };
       }
+      resolve();
     });
   });
 
+  // Month-to-date spend against the monthly budget, written by the background's
+  // budget check; reaching the budget pauses auto-transcription until next month
+  let usageBudgetState = null;
+
+  chrome.storage.local.get("usageBudgetState").then((stored) => {
+    usageBudgetState = stored.usageBudgetState || null;
+  });
+
+  function isUsageBudgetReached() {
+    if (!usageBudgetState || usageBudgetState.level !== "exceeded") return false;
+    const now = new Date();
+    return usageBudgetState.month === `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+  }
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes.usageBudgetState) {
+      usageBudgetState = changes.usageBudgetState.newValue || null;
+    }
+    if (areaName !== "sync") return;
+    Object.keys(changes).forEach((key) => {
+      if (key in extensionSettings) {
+        extensionSettings[key] = changes[key].newValue;
+      }
+    });
+    if (changes.transcriptionRules || changes.transcriptionRulesDefault) {
+      applyTranscriptionRules();
+    }
+  });
+
+  // Allow/deny rules (transcription-rules.js), decided per chat and cached for
+  // a minute since labels and saved contacts can change
+  const chatRuleDecisions = new Map();
+
+  function getTranscriptionRules() {
+    return new TranscriptionRules(extensionSettings.transcriptionRules, extensionSettings.transcriptionRulesDefault);
+  }
+
+  async function lookUpChatRuleFacts(chatId, rules) {
+    if (!chatId || !rules.needsStoreFacts()) {
+      return TranscriptionRules.getBasicFacts(chatId);
+    }
+    try {
+      const { facts } = await pageRpc.call("getChatRuleFacts", { chatId: chatId });
+      return facts;
+    } catch (error) {
+      console.warn("[Content] Could not look up chat details for transcription rules:", error);
+      return TranscriptionRules.getBasicFacts(chatId);
+    }
+  }
+
+  // Resolves to { allowed, rule } for a chat WID. Buttons, auto-transcription
+  // and status captions all pass through here, so none of them run on the
+  // defaults before the settings arrive.
+  async function checkTranscriptionRules(chatId) {
+    await settingsLoaded;
+    const rules = getTranscriptionRules();
+    if (rules.isEmpty()) {
+      return { allowed: true, rule: null };
+    }
+
+    const cached = chatRuleDecisions.get(chatId);
+    if (cached && Date.now() - cached.checkedAt < 60000) {
+      return cached.decision;
+    }
+    const decision = lookUpChatRuleFacts(chatId, rules).then(facts => rules.evaluate(facts));
+    chatRuleDecisions.set(chatId, { decision: decision, checkedAt: Date.now() });
+    return decision;
+  }
+
+  async function assertTranscriptionAllowed(chatId) {
+    const { allowed } = await checkTranscriptionRules(chatId);
+    if (!allowed) {
+      const error = new Error("Transcription is turned off for this chat by your transcription rules.");
+      error.category = "rules_denied";
+      throw error;
+    }
+  }
+
+  // Re-check every chat after the rules change: remove buttons from chats that
+  // are now denied and look again for media in chats that may now be allowed
+  function applyTranscriptionRules() {
+    chatRuleDecisions.clear();
+
+    document.querySelectorAll("[data-transcribe-button-added]").forEach((voiceMessageElement) => {
+      const messageId = selectors.getMessageId(voiceMessageElement);
+      checkTranscriptionRules(TranscriptionRules.getChatId(messageId)).then(({ allowed }) => {
+        if (allowed) return;
+        const messageContainer = selectors.getMessageContainer(voiceMessageElement);
+        const transcribeButton = messageContainer && messageContainer.querySelector(".transcribe-button");
+        if (transcribeButton) transcribeButton.remove();
+        delete voiceMessageElement.dataset.transcribeButtonAdded;
+      });
+    });
+
+    document.querySelectorAll("[data-transcribe-checked]").forEach((row) => {
+      delete row.dataset.transcribeChecked;
+    });
+    queueMediaCheck(document.body);
+    selectors.findVoiceMessages(document.body).forEach(addTranscriptionButton);
+  }
+
+  // Run queued transcriptions with a concurrency limit and an optional
+  // minimum delay between task starts
+  function createTranscriptionQueue(getConcurrency, minIntervalMs = 0) {
+    const tasks = [];
+    let running = 0;
+    let lastStart = 0;
+    let timer = null;
+
+    function next() {
+      while (running < getConcurrency() && tasks.length > 0) {
+        const wait = lastStart + minIntervalMs - Date.now();
+        if (wait > 0) {
+          if (!timer) {
+            timer = setTimeout(() => {
+              timer = null;
+              next();
+            }, wait);
+          }
+          return;
+        }
+
+        const task = tasks.shift();
+        running++;
+        lastStart = Date.now();
+        Promise.resolve()
+          .then(task)
+          .catch((error) => console.error("[Content] Queued transcription failed:", error))
+          .finally(() => {
+            running--;
+            next();
+          });
+      }
+    }
+
+    return {
+      add(task) {
+        tasks.push(task);
+        next();
+      },
+      clear() {
+        tasks.length = 0;
+      }
+    };
+  }
+
+  const autoTranscribeQueue = createTranscriptionQueue(() => Math.max(1, Number(extensionSettings.autoTranscribeConcurrency) || 1));
+
+  // Decide whether a newly observed voice message should be transcribed automatically
+  function shouldAutoTranscribe(voiceMessageElement, messageContainer) {
+    const { autoTranscribeMode, autoTranscribeScope, autoTranscribeChats } = extensionSettings;
+    if (autoTranscribeMode === "off") return false;
+    if (isUsageBudgetReached()) return false;
+    if (autoTranscribeMode === "incoming" && !messageContainer.classList.contains("message-in")) return false;
+
+    if (autoTranscribeScope === "selected") {
+      const messageId = selectors.getMessageId(voiceMessageElement);
+      return (autoTranscribeChats || []).includes(TranscriptionRules.getChatId(messageId));
+    }
+    return true;
+  }
+
+  // Feature availability reported by the page's Store capability registry.
+  // Until the report arrives every feature is assumed to work.
+  let storeCapabilities = null;
+
+  async function loadStoreCapabilities() {
+    const { report } = await pageRpc.call("getStoreCapabilities");
+    storeCapabilities = report;
+    const unavailable = report.features.filter(feature => !feature.available);
+    if (unavailable.length > 0) {
+      console.warn("[Content] Features unavailable in this WhatsApp Web version:", unavailable);
+    }
+    return report;
+  }
+
+  function getStoreFeature(name) {
+    return storeCapabilities ? storeCapabilities.features.find(feature => feature.name === name) : null;
+  }
+
+  function isStoreFeatureAvailable(name) {
+    const feature = getStoreFeature(name);
+    return !feature || feature.available;
+  }
+
+  // Send a message to the background, rejecting when it answers with an error
+  async function requestFromBackground(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || response.error) {
+      throw new Error(response ? response.error : "No response from the extension.");
+    }
+    return response;
+  }
+
+  // Ask the injected script which chat is open
+  async function requestActiveChat() {
+    const { chat } = await pageRpc.call("getActiveChat");
+    return chat;
+  }
+
+  // Batch transcription of every voice message in the open chat
+  const batchQueue = createTranscriptionQueue(() => Math.max(1, Number(extensionSettings.autoTranscribeConcurrency) || 1), 1500);
+  let batchState = null;
+
+  async function transcribeAllInChat() {
+    if (batchState && !batchState.finished) {
+      throw new Error("A batch transcription is already running.");
+    }
+
+    const activeChat = await requestActiveChat();
+    if (activeChat) {
+      await assertTranscriptionAllowed(activeChat.id);
+    }
+
+    // Walking the whole history can take a while on long chats
+    const { chat, messageIds } = await pageRpc.call("getChatVoiceMessages", {}, { timeoutMs: 60000 });
+
+    const state = {
+      chat,
+      total: messageIds.length,
+      done: 0,
+      failed: 0,
+      cancelled: false,
+      finished: messageIds.length === 0,
+      controller: new AbortController()
+    };
+    batchState = state;
+    renderBatchProgress(state);
+
+    messageIds.forEach((messageId) => {
+      batchQueue.add(async () => {
+        if (state.cancelled) return;
+        try {
+          const result = await fetchTranscription(messageId, { signal: state.controller.signal });
+          const messageContainer = selectors.getMessageRow(messageId);
+          if (messageContainer) {
+            displayTranscriptionResult(messageContainer, result, false);
+          }
+        } catch (error) {
+          if (error.cancelled) return;
+          console.error("[Content] Batch transcription failed for message:", messageId, error);
+          state.failed++;
+        } finally {
+          state.done++;
+          state.finished = state.cancelled || state.done === state.total;
+          renderBatchProgress(state);
+        }
+      });
+    });
+
+    return state.total;
+  }
+
+  function cancelBatch() {
+    if (!batchState || batchState.finished) return;
+    batchState.cancelled = true;
+    batchState.finished = true;
+    batchState.controller.abort();
+    batchQueue.clear();
+    renderBatchProgress(batchState);
+  }
+
+  // Floating progress panel for batch transcription
+  function renderBatchProgress(state) {
+    let panel = document.getElementById("whatsappGeminiTranscriber-batchProgress");
+    if (!panel) {
+      panel = document.createElement("div");
+      panel.id = "whatsappGeminiTranscriber-batchProgress";
+      panel.style.position = "fixed";
+      panel.style.right = "20px";
+      panel.style.bottom = "20px";
+      panel.style.zIndex = "10000";
+      panel.style.padding = "12px 16px";
+      panel.style.borderRadius = "8px";
+      panel.style.backgroundColor = "#ffffff";
+      panel.style.color = "#424242";
+      panel.style.border = "1px solid #e0e0e0";
+      panel.style.boxShadow = "0 4px 12px rgba(0, 0, 0, 0.15)";
+      panel.style.fontSize = "13px";
+      panel.style.minWidth = "240px";
+      document.body.appendChild(panel);
+    }
+
+    panel.textContent = "";
+
+    const title = document.createElement("strong");
+    title.textContent = state.chat ? `Transcribing "${state.chat.name}"` : "Transcribing chat";
+    panel.appendChild(title);
+
+    const progress = document.createElement("div");
+    progress.style.margin = "6px 0";
+    if (state.cancelled) {
+      progress.textContent = `Cancelled after ${state.done} of ${state.total} voice message(s).`;
+    } else if (state.total === 0) {
+      progress.textContent = "No voice messages found in this chat.";
+    } else {
+      progress.textContent = `${state.done} of ${state.total} voice message(s) done` +
+        (state.failed ? `, ${state.failed} failed` : "") + ".";
+    }
+    panel.appendChild(progress);
+
+    const bar = document.createElement("div");
+    bar.style.height = "4px";
+    bar.style.borderRadius = "2px";
+    bar.style.backgroundColor = "#e0e0e0";
+    const fill = document.createElement("div");
+    fill.style.height = "100%";
+    fill.style.borderRadius = "2px";
+    fill.style.backgroundColor = "#25d366";
+    fill.style.width = state.total ? `${Math.round((state.done / state.total) * 100)}%` : "100%";
+    bar.appendChild(fill);
+    panel.appendChild(bar);
+
+    const actionButton = document.createElement("button");
+    actionButton.innerText = state.finished ? "Close" : "Cancel";
+    actionButton.style.marginTop = "8px";
+    actionButton.style.padding = "4px 10px";
+    actionButton.style.border = "1px solid #ccc";
+    actionButton.style.borderRadius = "5px";
+    actionButton.style.cursor = "pointer";
+    actionButton.style.backgroundColor = "#e0e0e0";
+    actionButton.style.fontSize = "12px";
+    actionButton.addEventListener("click", () => {
+      if (state.finished) {
+        panel.remove();
+      } else {
+        cancelBatch();
+      }
+    });
+    panel.appendChild(actionButton);
+  }
+
+  // Handle requests from the popup
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "getActiveChat") {
+      requestActiveChat()
+        .then((chat) => sendResponse({ chat: chat }))
+        .catch((error) => sendResponse({ error: error.message }));
+      return true; // Indicate that sendResponse will be called asynchronously
+    }
+
+    if (request.action === "transcribeAllInChat") {
+      transcribeAllInChat()
+        .then((total) => sendResponse({ started: true, total: total }))
+        .catch((error) => sendResponse({ error: error.message }));
+      return true; // Indicate that sendResponse will be called asynchronously
+    }
+
+    // Report which DOM strategies currently match, for the popup diagnostics
+    if (request.action === "getSelectorHealth") {
+      sendResponse({ health: selectors.healthCheck() });
+      return;
+    }
+
+    // Re-probe the Store modules, for the popup diagnostics
+    if (request.action === "getStoreCapabilities") {
+      loadStoreCapabilities()
+        .then((report) => sendResponse({ report: report }))
+        .catch((error) => sendResponse({ error: error.message }));
+      return true; // Indicate that sendResponse will be called asynchronously
+    }
+
+    // Focus a message picked in the history page
+    if (request.action === "openMessage") {
+      pageRpc.call("openMessage", { messageId: request.messageId }, { timeoutMs: 10000 })
+        .then(() => sendResponse({ opened: true }))
+        .catch((error) => sendResponse({ error: error.message }));
+      return true; // Indicate that sendResponse will be called asynchronously
+    }
+  });
+
+  // Attach the transcribe control unless the transcription rules deny the
+  // message's chat; denied chats get no button and no auto-transcription
   function addTranscriptionButton(voiceMessageElement) {
-    // Ensure it's a voice message and a button hasn't been added yet
+    if (!voiceMessageElement || voiceMessageElement.dataset.transcribeButtonAdded || voiceMessageElement.dataset.transcribeRulesPending) return;
+
+    const messageId = selectors.getMessageId(voiceMessageElement);
+    voiceMessageElement.dataset.transcribeRulesPending = "true";
+    checkTranscriptionRules(TranscriptionRules.getChatId(messageId))
+      .then(({ allowed }) => {
+        if (allowed) insertTranscriptionButton(voiceMessageElement);
+      })
+      .finally(() => {
+        delete voiceMessageElement.dataset.transcribeRulesPending;
+      });
+  }
+
+  // Insert the transcribe control into a voice message element, or into the
+  // bubble itself for other media (videos, video notes, audio documents)
+  function insertTranscriptionButton(voiceMessageElement) {
+    // Ensure it's a media message and a button hasn't been added yet
     if (voiceMessageElement && !voiceMessageElement.dataset.transcribeButtonAdded) {
-      const messageContainer = voiceMessageElement.closest(".message-in, .message-out");
+      const messageContainer = selectors.getMessageContainer(voiceMessageElement);
       if (!messageContainer) return; // Not a message bubble
 
       const existingButton = messageContainer.querySelector(".transcribe-button");
@@ -118,55 +638,23 @@ console.log("Whats up Gemini? content script loaded.");
       transcribeButton.style.backgroundColor = "#e0e0e0";
       transcribeButton.style.fontSize = "12px";
 
-      transcribeButton.addEventListener("click", async () => {
-        const messageId = voiceMessageElement.closest("[data-id]")?.dataset.id;
-        if (!messageId) {
-          console.warn("Message ID not found for voice message element.");
-          displayTranscriptionResult(messageContainer, "Error: Message ID not found.", true);
-          return;
-        }
+      transcribeButton.addEventListener("click", () => {
+        transcribeVoiceMessage(voiceMessageElement, messageContainer);
+      });
 
-        console.log("Requesting audio data for message ID:", messageId);
-        
-        // Show loading state
-        transcribeButton.innerText = "Transcribing...";
+      // Media download needs Store modules this WhatsApp build may not expose
+      if (!isStoreFeatureAvailable("transcribe")) {
         transcribeButton.disabled = true;
-        transcribeButton.style.backgroundColor = "#ccc";
-        
-        // Request JWT token before audio extraction
-        try {
-          const tokenResponse = await chrome.runtime.sendMessage({ 
-            action: "getJWTToken", 
-            customClaims: { messageId: messageId } 
-          });
-          
-          if (!tokenResponse.success) {
-            throw new Error("Failed to get JWT token: " + tokenResponse.error);
-          }
-          
-          console.log("[Content] JWT token obtained for audio extraction");
-          
-          // Dispatch a custom event to the injected script to request audio data with JWT
-          document.dispatchEvent(new CustomEvent("whatsappGeminiTranscriber_getAudioData", {
-            detail: { 
-              messageId: messageId,
-              jwtToken: tokenResponse.token
-            }
-          }));
-        } catch (error) {
-          console.error("[Content] JWT token request failed:", error);
-          displayTranscriptionResult(messageContainer, "Error: Authentication failed - " + error.message, true);
-          
-          // Reset button state
-          transcribeButton.innerText = "Transcribe";
-          transcribeButton.disabled = false;
-          transcribeButton.style.backgroundColor = "#e0e0e0";
-        }
-      });
+        transcribeButton.style.cursor = "not-allowed";
+        transcribeButton.style.opacity = "0.6";
+        transcribeButton.title = `Unavailable in this WhatsApp Web version (missing ${getStoreFeature("transcribe").missing.join(", ")})`;
+      }
 
       // Insert the button next to the play button or duration
-      const playButtonContainer = voiceMessageElement.querySelector("button[aria-label='Play voice message']");
-      const durationElement = voiceMessageElement.querySelector("div[aria-hidden='true']");
+      const playButtonContainer = selectors.findPlayButton(voiceMessageElement);
+      const durationElement = voiceMessageElement === messageContainer
+        ? null
+        : voiceMessageElement.querySelector("div[aria-hidden='true']");
 
       if (playButtonContainer) {
         playButtonContainer.parentElement.appendChild(transcribeButton);
@@ -178,10 +666,125 @@ console.log("Whats up Gemini? content script loaded.");
       }
       
       voiceMessageElement.dataset.transcribeButtonAdded = "true";
+
+      if (transcribeButton.disabled) {
+        showCachedTranscription(voiceMessageElement, messageContainer);
+      } else if (shouldAutoTranscribe(voiceMessageElement, messageContainer)) {
+        autoTranscribeQueue.add(() => transcribeVoiceMessage(voiceMessageElement, messageContainer));
+      } else {
+        showCachedTranscription(voiceMessageElement, messageContainer);
+      }
     }
   }
 
-  function displayTranscriptionResult(messageContainer, text, isError = false) {
+  // Videos, video notes and audio documents have no stable DOM marker, so new
+  // message rows are checked against the Store in batches
+  const pendingMediaChecks = new Set();
+  let mediaCheckTimer = null;
+  let mediaCheckInFlight = false;
+
+  function queueMediaCheck(root) {
+    if (!isStoreFeatureAvailable("mediaDetection")) return;
+    selectors.getMessageRows(root).forEach((row) => {
+      if (row.dataset.transcribeChecked) return;
+      row.dataset.transcribeChecked = "true";
+      pendingMediaChecks.add(row.dataset.id);
+    });
+    scheduleMediaCheck();
+  }
+
+  function scheduleMediaCheck() {
+    if (pendingMediaChecks.size > 0 && !mediaCheckTimer && !mediaCheckInFlight) {
+      mediaCheckTimer = setTimeout(checkMediaMessages, 300);
+    }
+  }
+
+  async function checkMediaMessages() {
+    mediaCheckTimer = null;
+    mediaCheckInFlight = true;
+    const messageIds = Array.from(pendingMediaChecks);
+    pendingMediaChecks.clear();
+
+    try {
+      const { messages } = await pageRpc.call("getTranscribableMessages", { messageIds: messageIds });
+      selectors.recordStoreDetection(messageIds.length, messages.length);
+      messages.forEach(({ messageId }) => {
+        const row = selectors.getMessageRow(messageId);
+        const messageContainer = row && row.querySelector(".message-in, .message-out");
+        if (messageContainer) {
+          addTranscriptionButton(messageContainer);
+        }
+      });
+    } catch (error) {
+      console.warn("[Content] Could not check messages for media:", error);
+    } finally {
+      mediaCheckInFlight = false;
+      scheduleMediaCheck();
+    }
+  }
+
+  // Render a previously cached transcription as soon as the bubble appears
+  function showCachedTranscription(voiceMessageElement, messageContainer) {
+    const messageId = selectors.getMessageId(voiceMessageElement);
+    if (!messageId) return;
+
+    chrome.runtime.sendMessage({
+      action: "getCachedTranscription",
+      messageId: messageId,
+      context: { chatId: TranscriptionRules.getChatId(messageId) }
+    }, (response) => {
+      if (chrome.runtime.lastError) return;
+      if (response && response.cached && !messageContainer.querySelector(".transcription-result")) {
+        displayTranscriptionResult(messageContainer, response.result, false);
+      }
+    });
+  }
+
+  // What to tell the user for each provider error category (see ApiError in
+  // transcription-providers.js); other errors show their message as-is
+  const TRANSCRIPTION_ERROR_HINTS = {
+    invalid_key: {
+      title: "Invalid API key",
+      hint: "The provider rejected the API key. Check it in the extension popup."
+    },
+    quota_exhausted: {
+      title: "Quota exhausted",
+      hint: "Your API quota is used up. Try again later or raise the limit with your provider."
+    },
+    rate_limited: {
+      title: "Rate limited",
+      hint: "Too many requests, even after retrying. Wait a minute or lower the requests per minute in the popup."
+    },
+    audio_too_large: {
+      title: "Audio too large",
+      hint: "This audio is too large to send. Lower the upload threshold in the popup so it goes through the Files API."
+    },
+    safety_block: {
+      title: "Blocked by safety filters",
+      hint: "Gemini declined to transcribe this audio."
+    },
+    transient: {
+      title: "Service unavailable",
+      hint: "The provider is temporarily unavailable. Try again in a few minutes."
+    },
+    media_too_large: {
+      title: "Media too large",
+      hint: "Files over 40 MB cannot be passed to the transcription service. Trim the video or send its audio on its own."
+    },
+    rules_denied: {
+      title: "Not transcribed",
+      hint: "Your transcription rules do not allow sending this chat's audio to a cloud model."
+    },
+    vault_locked: {
+      title: "API keys locked",
+      hint: "Unlock the key vault in the extension popup, then try again."
+    }
+  };
+
+  // Render a transcription result (or an error string) below the message body.
+  // Results may carry a translation and the detected source language. Errors
+  // with a known category get a title and hint, with the raw message as a tooltip.
+  function displayTranscriptionResult(messageContainer, result, isError = false, errorCategory = null) {
     // Remove existing transcription result
     const existingResult = messageContainer.querySelector(".transcription-result");
     if (existingResult) {
@@ -209,7 +812,91 @@ console.log("Whats up Gemini? content script loaded.");
       transcriptionDiv.style.border = "1px solid #e0e0e0"; // Gray border
     }
     
-    transcriptionDiv.innerHTML = `<strong>${isError ? 'Error' : 'Transcription'}:</strong> ${text}`;
+    const label = document.createElement("strong");
+    label.textContent = `${isError ? 'Error' : 'Transcription'}:`;
+    transcriptionDiv.appendChild(label);
+
+    const knownError = isError && TRANSCRIPTION_ERROR_HINTS[errorCategory];
+    if (knownError) {
+      label.textContent = `${knownError.title}:`;
+      transcriptionDiv.appendChild(document.createTextNode(` ${knownError.hint}`));
+      transcriptionDiv.title = result;
+    } else if (isError || typeof result === "string") {
+      transcriptionDiv.appendChild(document.createTextNode(` ${result}`));
+    } else {
+      if (result.sourceLanguage) {
+        transcriptionDiv.appendChild(createLanguageBadge(result.sourceLanguage));
+      }
+
+      if (result.summary) {
+        // Summary first, the full timestamped transcript on expand
+        appendRedactedText(transcriptionDiv, ` ${result.summary}`, result.redactions);
+
+        const details = document.createElement("details");
+        details.style.marginTop = "6px";
+        const toggle = document.createElement("summary");
+        toggle.textContent = "Full transcript";
+        toggle.style.cursor = "pointer";
+        toggle.style.fontSize = "12px";
+        toggle.style.color = "#128c7e";
+        details.appendChild(toggle);
+        details.appendChild(renderTranscriptBody(messageContainer, result));
+        transcriptionDiv.appendChild(details);
+      } else {
+        transcriptionDiv.appendChild(document.createTextNode(" "));
+        transcriptionDiv.appendChild(renderTranscriptBody(messageContainer, result));
+      }
+
+      if (result.confidenceNote) {
+        const note = document.createElement("div");
+        note.className = "transcription-confidence";
+        note.textContent = result.confidenceNote;
+        note.style.marginTop = "4px";
+        note.style.fontSize = "12px";
+        note.style.fontStyle = "italic";
+        note.style.color = "#6b7280";
+        transcriptionDiv.appendChild(note);
+      }
+
+      if (result.translation) {
+        const translationDiv = document.createElement("div");
+        translationDiv.className = "transcription-translation";
+        translationDiv.style.marginTop = "6px";
+        translationDiv.style.paddingTop = "6px";
+        translationDiv.style.borderTop = "1px solid #e0e0e0";
+
+        const translationLabel = document.createElement("strong");
+        translationLabel.textContent = `Translation (${result.targetLanguage}):`;
+        translationDiv.appendChild(translationLabel);
+        appendRedactedText(translationDiv, ` ${result.translation}`, result.redactions);
+        transcriptionDiv.appendChild(translationDiv);
+      }
+
+      // Per-message actions: reply drafting and export of the stored transcript
+      const messageId = selectors.getMessageId(messageContainer);
+      if (messageId && !result.partial) {
+        const actions = document.createElement("div");
+        actions.className = "transcription-actions";
+        actions.style.marginTop = "4px";
+        actions.style.display = "flex";
+        actions.style.gap = "12px";
+
+        const draftLink = createTranscriptActionLink("Draft reply", () => {
+          draftReply(transcriptionDiv, messageId, result);
+        });
+        const voiceReplyLink = createTranscriptActionLink("Voice reply", () => {
+          showVoiceReplyPanel(messageId);
+        });
+        const exportLink = createTranscriptActionLink("Export", () => {
+          showExportMenu(exportLink, async () => ({ messageId: messageId }));
+        });
+
+        if (isStoreFeatureAvailable("replyContext")) actions.appendChild(draftLink);
+        if (isStoreFeatureAvailable("voiceReply")) actions.appendChild(voiceReplyLink);
+        actions.appendChild(exportLink);
+        transcriptionDiv.appendChild(actions);
+      }
+    }
     
     // Insert after the message body
     const messageBody = messageContainer.querySelector(".message-body");
@@ -220,6 +907,905 @@ console.log("Whats up Gemini? content script loaded.");
     }
   }
 
+  // Link-styled button shown under a transcript
+  function createTranscriptActionLink(text, onClick) {
+    const link = document.createElement("button");
+    link.textContent = text;
+    link.style.padding = "0";
+    link.style.border = "none";
+    link.style.background = "none";
+    link.style.cursor = "pointer";
+    link.style.fontSize = "12px";
+    link.style.color = "#128c7e";
+    link.addEventListener("click", (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    return link;
+  }
+
+  // Ask Gemini for reply suggestions and list them under the transcript
+  async function draftReply(transcriptionDiv, messageId, result) {
+    let repliesDiv = transcriptionDiv.querySelector(".transcription-replies");
+    if (!repliesDiv) {
+      repliesDiv = document.createElement("div");
+      repliesDiv.className = "transcription-replies";
+      repliesDiv.style.marginTop = "6px";
+      repliesDiv.style.paddingTop = "6px";
+      repliesDiv.style.borderTop = "1px solid #e0e0e0";
+      transcriptionDiv.appendChild(repliesDiv);
+    }
+    repliesDiv.textContent = "Drafting replies...";
+
+    try {
+      const { senderName, messages } = await pageRpc.call("getRecentMessages", {
+        messageId: messageId,
+        count: Math.max(0, Number(extensionSettings.replyDraftContextMessages) || 0)
+      });
+
+      const { suggestions } = await requestFromBackground({
+        action: "draftReplies",
+        transcript: result.transcription,
+        senderName: senderName,
+        recentMessages: messages
+      });
+
+      renderReplySuggestions(repliesDiv, messageId, suggestions);
+    } catch (error) {
+      console.error("[Content] Reply drafting failed:", error);
+      repliesDiv.textContent = `Could not draft replies: ${error.message}`;
+    }
+  }
+
+  // One row per suggestion: click to put it in the composer, or send it as a
+  // quoted reply when the power-user setting allows it
+  function renderReplySuggestions(repliesDiv, messageId, suggestions) {
+    repliesDiv.textContent = "";
+
+    const label = document.createElement("strong");
+    label.textContent = "Suggested replies:";
+    repliesDiv.appendChild(label);
+
+    suggestions.forEach((suggestion) => {
+      const row = document.createElement("div");
+      row.style.display = "flex";
+      row.style.alignItems = "center";
+      row.style.gap = "8px";
+      row.style.marginTop = "4px";
+
+      const text = document.createElement("button");
+      text.textContent = suggestion;
+      text.title = "Insert into the message box";
+      text.style.flex = "1";
+      text.style.padding = "4px 8px";
+      text.style.border = "1px solid #e0e0e0";
+      text.style.borderRadius = "8px";
+      text.style.backgroundColor = "#ffffff";
+      text.style.textAlign = "left";
+      text.style.cursor = "pointer";
+      text.style.fontSize = "13px";
+      text.addEventListener("click", (event) => {
+        event.stopPropagation();
+        if (!insertIntoComposer(suggestion)) {
+          text.title = "Open this chat's message box to insert the reply";
+        }
+      });
+      row.appendChild(text);
+
+      if (extensionSettings.replyDraftSendDirectly && isStoreFeatureAvailable("sendReply")) {
+        const sendLink = createTranscriptActionLink("Send", async () => {
+          sendLink.disabled = true;
+          try {
+            await pageRpc.call("sendReply", { messageId: messageId, text: suggestion }, { timeoutMs: 10000 });
+            sendLink.textContent = "Sent";
+          } catch (error) {
+            console.error("[Content] Sending reply failed:", error);
+            sendLink.textContent = "Failed";
+            sendLink.disabled = false;
+          }
+        });
+        row.appendChild(sendLink);
+      }
+
+      repliesDiv.appendChild(row);
+    });
+  }
+
+  // Panel above the composer to type a reply, synthesize it with the
+  // configured voice, preview it and send it quoting messageId: as a voice note
+  // when the provider returns Ogg/Opus, otherwise as an audio attachment
+  async function showVoiceReplyPanel(messageId) {
+    const existingPanel = document.getElementById("whatsappGeminiTranscriber-voiceReply");
+    if (existingPanel) existingPanel.remove();
+
+    const panel = document.createElement("div");
+    panel.id = "whatsappGeminiTranscriber-voiceReply";
+    panel.style.position = "fixed";
+    panel.style.right = "20px";
+    panel.style.bottom = "90px";
+    panel.style.zIndex = "10000";
+    panel.style.width = "320px";
+    panel.style.padding = "12px 16px";
+    panel.style.borderRadius = "8px";
+    panel.style.backgroundColor = "#ffffff";
+    panel.style.color = "#424242";
+    panel.style.border = "1px solid #e0e0e0";
+    panel.style.boxShadow = "0 4px 12px rgba(0, 0, 0, 0.15)";
+    panel.style.fontSize = "13px";
+
+    const header = document.createElement("div");
+    header.style.display = "flex";
+    header.style.justifyContent = "space-between";
+    header.style.alignItems = "center";
+    const title = document.createElement("strong");
+    title.textContent = "Voice reply";
+    header.appendChild(title);
+    const closeButton = document.createElement("button");
+    closeButton.innerText = "\u00d7";
+    closeButton.title = "Close";
+    closeButton.style.border = "none";
+    closeButton.style.background = "none";
+    closeButton.style.cursor = "pointer";
+    closeButton.style.fontSize = "18px";
+    header.appendChild(closeButton);
+    panel.appendChild(header);
+
+    const textInput = document.createElement("textarea");
+    textInput.rows = 3;
+    textInput.placeholder = "Type what the voice note should say";
+    textInput.style.width = "100%";
+    textInput.style.marginTop = "8px";
+    textInput.style.padding = "6px";
+    textInput.style.border = "1px solid #e0e0e0";
+    textInput.style.borderRadius = "6px";
+    textInput.style.fontFamily = "inherit";
+    textInput.style.resize = "vertical";
+    panel.appendChild(textInput);
+
+    const controls = document.createElement("div");
+    controls.style.display = "flex";
+    controls.style.gap = "8px";
+    controls.style.marginTop = "6px";
+
+    const voiceSelect = document.createElement("select");
+    voiceSelect.style.flex = "1";
+    controls.appendChild(voiceSelect);
+
+    const generateButton = document.createElement("button");
+    generateButton.innerText = "Generate";
+    const sendButton = document.createElement("button");
+    sendButton.innerText = "Send";
+    sendButton.disabled = true;
+    [generateButton, sendButton].forEach((button) => {
+      button.style.padding = "4px 10px";
+      button.style.border = "1px solid #ccc";
+      button.style.borderRadius = "5px";
+      button.style.cursor = "pointer";
+      button.style.backgroundColor = "#f0f0f0";
+      controls.appendChild(button);
+    });
+    panel.appendChild(controls);
+
+    const preview = document.createElement("audio");
+    preview.controls = true;
+    preview.hidden = true;
+    preview.style.width = "100%";
+    preview.style.marginTop = "8px";
+    panel.appendChild(preview);
+
+    const status = document.createElement("div");
+    status.style.marginTop = "6px";
+    status.style.fontSize = "12px";
+    status.style.color = "#6b7280";
+    panel.appendChild(status);
+
+    let audio = null;
+    let previewUrl = null;
+    const closePanel = () => {
+      if (previewUrl) URL.revokeObjectURL(previewUrl);
+      panel.remove();
+    };
+    closeButton.addEventListener("click", closePanel);
+
+    // A changed text or voice invalidates the generated audio
+    const resetAudio = () => {
+      audio = null;
+      sendButton.disabled = true;
+      preview.hidden = true;
+    };
+    textInput.addEventListener("input", resetAudio);
+    voiceSelect.addEventListener("change", resetAudio);
+
+    generateButton.addEventListener("click", async () => {
+      const text = textInput.value.trim();
+      if (!text) {
+        status.textContent = "Type the reply first.";
+        return;
+      }
+
+      generateButton.disabled = true;
+      status.textContent = "Generating speech...";
+      try {
+        const { base64Audio, mimeType } = await requestFromBackground({ action: "synthesizeSpeech", text: text, voice: voiceSelect.value });
+        audio = { base64Audio, mimeType };
+
+        if (previewUrl) URL.revokeObjectURL(previewUrl);
+        const bytes = Uint8Array.from(atob(base64Audio), char => char.charCodeAt(0));
+        previewUrl = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+        preview.src = previewUrl;
+        preview.hidden = false;
+        sendButton.disabled = false;
+        status.textContent = "Listen to the preview, then send it.";
+      } catch (error) {
+        console.error("[Content] Speech synthesis failed:", error);
+        status.textContent = `Could not generate speech: ${error.message}`;
+      } finally {
+        generateButton.disabled = false;
+      }
+    });
+
+    sendButton.addEventListener("click", async () => {
+      if (!audio) return;
+      sendButton.disabled = true;
+      status.textContent = "Sending voice reply...";
+      try {
+        await pageRpc.call("sendVoiceReply", {
+          messageId: messageId,
+          base64Audio: audio.base64Audio,
+          mimeType: audio.mimeType
+        }, { timeoutMs: 30000 });
+        closePanel();
+      } catch (error) {
+        console.error("[Content] Sending voice reply failed:", error);
+        status.textContent = `Could not send: ${error.message}`;
+        sendButton.disabled = false;
+      }
+    });
+
+    document.body.appendChild(panel);
+    textInput.focus();
+
+    try {
+      const { voices } = await requestFromBackground({ action: "getTtsVoices" });
+      voices.forEach((voice) => {
+        const option = document.createElement("option");
+        option.value = voice;
+        option.textContent = voice;
+        voiceSelect.appendChild(option);
+      });
+    } catch (error) {
+      status.textContent = `Could not load voices: ${error.message}`;
+    }
+  }
+
+  // Type text into WhatsApp's message box at the cursor, leaving it unsent
+  function insertIntoComposer(text) {
+    const composer = selectors.getComposer();
+    if (!composer) return false;
+    composer.focus();
+    document.execCommand("insertText", false, text);
+    return true;
+  }
+
+  // Render the transcript received so far and the current step, with a button
+  // to cancel the request
+  function displayPartialTranscription(messageContainer, { text, redactions, status: statusText }, onCancel) {
+    displayTranscriptionResult(messageContainer, { transcription: text, redactions: redactions, partial: true }, false);
+
+    const transcriptionDiv = messageContainer.querySelector(".transcription-result");
+    const status = document.createElement("div");
+    status.style.marginTop = "6px";
+    status.style.fontSize = "12px";
+    status.style.color = "#6b7280";
+    status.textContent = `${statusText} `;
+
+    const cancelButton = document.createElement("button");
+    cancelButton.innerText = "Cancel";
+    cancelButton.style.padding = "2px 8px";
+    cancelButton.style.border = "1px solid #ccc";
+    cancelButton.style.borderRadius = "5px";
+    cancelButton.style.cursor = "pointer";
+    cancelButton.style.backgroundColor = "#e0e0e0";
+    cancelButton.style.fontSize = "12px";
+    cancelButton.addEventListener("click", onCancel);
+    status.appendChild(cancelButton);
+
+    transcriptionDiv.appendChild(status);
+  }
+
+  // Transcript text, as timestamped segments when the provider returned them
+  function renderTranscriptBody(messageContainer, result) {
+    const body = document.createElement(result.segments && result.segments.length ? "div" : "span");
+    body.className = "transcription-text";
+
+    if (!result.segments || result.segments.length === 0) {
+      appendRedactedText(body, result.transcription, result.redactions);
+      return body;
+    }
+
+    result.segments.forEach((segment) => {
+      const line = document.createElement("div");
+      line.style.marginTop = "4px";
+
+      const timestamp = document.createElement("a");
+      timestamp.href = "#";
+      timestamp.textContent = `[${formatTimestamp(segment.start)}]`;
+      timestamp.title = "Play from here";
+      timestamp.style.color = "#128c7e";
+      timestamp.style.marginRight = "6px";
+      timestamp.style.fontFamily = "monospace";
+      timestamp.addEventListener("click", (event) => {
+        event.preventDefault();
+        seekVoiceMessage(messageContainer, segment.start);
+      });
+      line.appendChild(timestamp);
+
+      if (segment.speaker) {
+        const speaker = document.createElement("strong");
+        speaker.textContent = `${segment.speaker}: `;
+        line.appendChild(speaker);
+      }
+      appendRedactedText(line, segment.text, result.redactions);
+      body.appendChild(line);
+    });
+
+    return body;
+  }
+
+  // Append text in which personal data was masked as [PHONE-1] and the like.
+  // Placeholders whose original came with the result reveal it on click.
+  function appendRedactedText(parent, text, redactions) {
+    const source = text || "";
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(/\[[A-Z0-9_]+-\d+\]/g)) {
+      const placeholder = match[0];
+      const original = redactions && redactions[placeholder];
+      if (!original) continue;
+
+      parent.appendChild(document.createTextNode(source.slice(lastIndex, match.index)));
+      const masked = document.createElement("span");
+      masked.className = "pii-redacted";
+      masked.textContent = placeholder;
+      masked.title = "Click to reveal";
+      masked.style.padding = "0 3px";
+      masked.style.borderRadius = "3px";
+      masked.style.backgroundColor = "#e5e7eb";
+      masked.style.cursor = "pointer";
+      masked.addEventListener("click", () => {
+        const revealed = masked.textContent === placeholder;
+        masked.textContent = revealed ? original : placeholder;
+        masked.title = revealed ? "Click to hide" : "Click to reveal";
+      });
+      parent.appendChild(masked);
+      lastIndex = match.index + placeholder.length;
+    }
+
+    parent.appendChild(document.createTextNode(source.slice(lastIndex)));
+  }
+
+  // Format seconds as m:ss
+  function formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+  }
+
+  // Start the bubble's player if needed, then ask the page to seek it
+  async function seekVoiceMessage(messageContainer, seconds) {
+    // Clicking the player of a voice note that is already playing would pause it
+    const playButton = selectors.isPlaying(messageContainer) ? null : selectors.findPlayButton(messageContainer);
+    if (playButton) {
+      playButton.click();
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+
+    try {
+      await pageRpc.call("seekAudio", { seconds: seconds });
+    } catch (error) {
+      console.warn("[Content] Could not seek voice message:", error);
+    }
+  }
+
+  // Small pill showing the detected language of a voice message
+  function createLanguageBadge(language) {
+    const badge = document.createElement("span");
+    badge.className = "transcription-language-badge";
+    badge.textContent = language;
+    badge.style.marginLeft = "6px";
+    badge.style.padding = "1px 6px";
+    badge.style.borderRadius = "10px";
+    badge.style.fontSize = "11px";
+    badge.style.backgroundColor = "#d1fae5";
+    badge.style.color = "#065f46";
+    return badge;
+  }
+
+  // Transcript export formats offered in the export menus
+  const EXPORT_FORMAT_OPTIONS = [
+    { format: "txt", label: "Plain text (.txt)" },
+    { format: "md", label: "Markdown (.md)" },
+    { format: "json", label: "JSON with metadata (.json)" },
+    { format: "srt", label: "Subtitles (.srt)" },
+    { format: "vtt", label: "Subtitles (.vtt)" }
+  ];
+
+  // Save text content through a temporary object URL
+  function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Ask the background to render stored transcripts and download the file
+  async function exportTranscripts(scope, format) {
+    const response = await requestFromBackground({ action: "exportTranscripts", scope: scope, format: format });
+    downloadFile(response.filename, response.content, response.mimeType);
+  }
+
+  // Drop-down menu below an anchor. Each item is { label, onSelect }; errors
+  // thrown by onSelect are shown in the menu, success closes it.
+  function showMenu(anchor, items) {
+    const existingMenu = document.getElementById("whatsappGeminiTranscriber-menu");
+    if (existingMenu) existingMenu.remove();
+
+    const rect = anchor.getBoundingClientRect();
+    const menu = document.createElement("div");
+    menu.id = "whatsappGeminiTranscriber-menu";
+    menu.style.position = "fixed";
+    menu.style.top = `${rect.bottom + 4}px`;
+    menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 240))}px`;
+    menu.style.zIndex = "10000";
+    menu.style.width = "220px";
+    menu.style.padding = "4px 0";
+    menu.style.borderRadius = "8px";
+    menu.style.backgroundColor = "#ffffff";
+    menu.style.border = "1px solid #e0e0e0";
+    menu.style.boxShadow = "0 4px 12px rgba(0, 0, 0, 0.15)";
+    menu.style.fontSize = "13px";
+    menu.style.color = "#424242";
+
+    const status = document.createElement("div");
+    status.style.padding = "4px 12px";
+    status.style.fontSize = "12px";
+    status.style.color = "#c62828";
+    status.hidden = true;
+
+    items.forEach(({ label, onSelect }) => {
+      const item = document.createElement("button");
+      item.textContent = label;
+      item.style.display = "block";
+      item.style.width = "100%";
+      item.style.padding = "6px 12px";
+      item.style.border = "none";
+      item.style.textAlign = "left";
+      item.style.cursor = "pointer";
+      item.style.backgroundColor = "transparent";
+      item.addEventListener("mouseenter", () => { item.style.backgroundColor = "#f5f5f5"; });
+      item.addEventListener("mouseleave", () => { item.style.backgroundColor = "transparent"; });
+      item.addEventListener("click", async (event) => {
+        event.stopPropagation();
+        try {
+          await onSelect();
+          closeMenu();
+        } catch (error) {
+          console.error("[Content] Menu action failed:", error);
+          status.textContent = error.message;
+          status.hidden = false;
+        }
+      });
+      menu.appendChild(item);
+    });
+    menu.appendChild(status);
+
+    function closeMenu(event) {
+      if (event && menu.contains(event.target)) return;
+      menu.remove();
+      document.removeEventListener("click", closeMenu, true);
+    }
+
+    document.body.appendChild(menu);
+    setTimeout(() => document.addEventListener("click", closeMenu, true), 0);
+  }
+
+  // Export format menu; getScope resolves to the export scope ({ messageId }
+  // or { chatId }) when a format is picked
+  function showExportMenu(anchor, getScope) {
+    showMenu(anchor, EXPORT_FORMAT_OPTIONS.map(({ format, label }) => ({
+      label: label,
+      onSelect: async () => exportTranscripts(await getScope(), format)
+    })));
+  }
+
+  // Time windows offered for voice note digests; getSince receives the time
+  // of the last "since last read" digest for the chat, if any
+  const DIGEST_WINDOWS = [
+    {
+      key: "today",
+      label: "Today",
+      getSince: () => new Date().setHours(0, 0, 0, 0)
+    },
+    {
+      key: "24h",
+      label: "Last 24 hours",
+      getSince: () => Date.now() - 24 * 60 * 60 * 1000
+    },
+    {
+      key: "unread",
+      label: "Since last read",
+      getSince: (lastRead) => lastRead || Date.now() - 24 * 60 * 60 * 1000
+    }
+  ];
+
+  // Collect the chat's voice messages for a window and render a Gemini digest
+  async function summarizeVoiceNotes(windowKey) {
+    const digestWindow = DIGEST_WINDOWS.find(candidate => candidate.key === windowKey);
+    renderDigestPanel({ windowLabel: digestWindow.label, loading: true });
+
+    try {
+      const chat = await requestActiveChat();
+      if (!chat) {
+        throw new Error("No chat is open.");
+      }
+      await assertTranscriptionAllowed(chat.id);
+
+      const { voiceDigestLastRead = {} } = await chrome.storage.local.get("voiceDigestLastRead");
+      const { messages } = await pageRpc.call("getVoiceMessagesSince", {
+        since: digestWindow.getSince(voiceDigestLastRead[chat.id]),
+        sinceLastRead: windowKey === "unread"
+      }, { timeoutMs: 60000 });
+
+      if (messages.length === 0) {
+        renderDigestPanel({ chat, windowLabel: digestWindow.label, message: "No voice messages in this window." });
+        return;
+      }
+
+      const response = await requestFromBackground({ action: "summarizeVoiceNotes", chat: chat, messages: messages });
+
+      if (windowKey === "unread") {
+        voiceDigestLastRead[chat.id] = Date.now();
+        await chrome.storage.local.set({ voiceDigestLastRead: voiceDigestLastRead });
+      }
+
+      renderDigestPanel({
+        chat,
+        windowLabel: digestWindow.label,
+        digest: response.digest,
+        included: response.included,
+        missing: response.missing,
+        message: response.digest ? null : "None of these voice messages have been transcribed yet."
+      });
+    } catch (error) {
+      console.error("[Content] Voice note digest failed:", error);
+      renderDigestPanel({ windowLabel: digestWindow.label, error: error.message });
+    }
+  }
+
+  // Floating panel with the digest of a chat's voice notes
+  function renderDigestPanel(state) {
+    let panel = document.getElementById("whatsappGeminiTranscriber-digest");
+    if (!panel) {
+      panel = document.createElement("div");
+      panel.id = "whatsappGeminiTranscriber-digest";
+      panel.style.position = "fixed";
+      panel.style.right = "20px";
+      panel.style.top = "80px";
+      panel.style.zIndex = "10000";
+      panel.style.width = "340px";
+      panel.style.maxHeight = "70vh";
+      panel.style.overflowY = "auto";
+      panel.style.padding = "12px 16px";
+      panel.style.borderRadius = "8px";
+      panel.style.backgroundColor = "#ffffff";
+      panel.style.color = "#424242";
+      panel.style.border = "1px solid #e0e0e0";
+      panel.style.boxShadow = "0 4px 12px rgba(0, 0, 0, 0.15)";
+      panel.style.fontSize = "13px";
+      panel.style.lineHeight = "1.4";
+      document.body.appendChild(panel);
+    }
+
+    panel.textContent = "";
+
+    const header = document.createElement("div");
+    header.style.display = "flex";
+    header.style.justifyContent = "space-between";
+    header.style.alignItems = "center";
+    const title = document.createElement("strong");
+    title.textContent = state.chat
+      ? `Voice notes in "${state.chat.name}" (${state.windowLabel})`
+      : `Voice notes (${state.windowLabel})`;
+    header.appendChild(title);
+
+    const closeButton = document.createElement("button");
+    closeButton.innerText = "\u00d7";
+    closeButton.title = "Close";
+    closeButton.style.border = "none";
+    closeButton.style.background = "none";
+    closeButton.style.cursor = "pointer";
+    closeButton.style.fontSize = "18px";
+    closeButton.addEventListener("click", () => panel.remove());
+    header.appendChild(closeButton);
+    panel.appendChild(header);
+
+    const addLine = (text, color) => {
+      const line = document.createElement("div");
+      line.style.marginTop = "6px";
+      line.style.color = color || "#424242";
+      line.textContent = text;
+      panel.appendChild(line);
+    };
+
+    if (state.loading) {
+      addLine("Summarizing voice messages...", "#6b7280");
+      return;
+    }
+    if (state.error) {
+      addLine(state.error, "#c62828");
+      return;
+    }
+    if (state.missing) {
+      addLine(`${state.missing} voice message(s) in this window are not transcribed and were skipped.`, "#6b7280");
+    }
+    if (!state.digest) {
+      addLine(state.message);
+      return;
+    }
+
+    addLine(state.digest.overview);
+
+    const addList = (heading, items) => {
+      if (!items || items.length === 0) return;
+      const headingElement = document.createElement("div");
+      headingElement.style.marginTop = "10px";
+      headingElement.style.fontWeight = "bold";
+      headingElement.textContent = heading;
+      panel.appendChild(headingElement);
+
+      const list = document.createElement("ul");
+      list.style.margin = "4px 0 0 18px";
+      list.style.listStyle = "disc";
+      items.forEach(text => {
+        const item = document.createElement("li");
+        item.textContent = text;
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
+    };
+
+    addList("Key points", state.digest.keyPoints);
+    addList("Decisions", state.digest.decisions);
+    addList("Action items", (state.digest.actionItems || []).map(item => item.owner ? `${item.owner}: ${item.task}` : item.task));
+    addLine(`Based on ${state.included} transcribed voice message(s).`, "#6b7280");
+  }
+
+  // Small button for the open chat's header
+  function createHeaderButton(text, className, title, onClick) {
+    const button = document.createElement("button");
+    button.innerText = text;
+    button.className = className;
+    button.title = title;
+    button.style.marginLeft = "8px";
+    button.style.padding = "5px 10px";
+    button.style.border = "1px solid #ccc";
+    button.style.borderRadius = "5px";
+    button.style.cursor = "pointer";
+    button.style.backgroundColor = "#f0f0f0";
+    button.style.fontSize = "12px";
+    button.style.whiteSpace = "nowrap";
+    button.addEventListener("click", (event) => {
+      event.stopPropagation();
+      onClick(button);
+    });
+    return button;
+  }
+
+  // Digest and export entry points in the open chat's header
+  function addChatHeaderButtons() {
+    const header = selectors.getChatHeader();
+    if (!header || header.querySelector(".transcript-export-button")) return;
+
+    if (isStoreFeatureAvailable("batch")) header.appendChild(createHeaderButton("Summarize", "voice-digest-button", "Summarize this chat's voice messages", (button) => {
+      showMenu(button, DIGEST_WINDOWS.map(({ key, label }) => ({
+        label: label,
+        onSelect: () => {
+          summarizeVoiceNotes(key);
+        }
+      })));
+    }));
+
+    header.appendChild(createHeaderButton("Export transcripts", "transcript-export-button", "Export this chat's voice message transcripts", (button) => {
+      showExportMenu(button, async () => {
+        const chat = await requestActiveChat();
+        if (!chat) {
+          throw new Error("No chat is open.");
+        }
+        return { chatId: chat.id };
+      });
+    }));
+  }
+
+
+  // Status viewer: inject.js tags the media element of an audio/video status
+  // with its message ID when it starts playing; offer a transcribe control and
+  // show the transcript as a caption overlay so statuses can be read silently
+  let statusOverlay = null;
+
+  document.addEventListener("play", (event) => {
+    const mediaElement = event.target;
+    if (!(mediaElement instanceof HTMLMediaElement)) return;
+
+    // Let the page-context listener tag the element first
+    setTimeout(() => {
+      const messageId = mediaElement.dataset.whatsappGeminiStatusId;
+      if (messageId) {
+        checkTranscriptionRules(TranscriptionRules.getChatId(messageId)).then(({ allowed }) => {
+          if (allowed) showStatusOverlay(mediaElement, messageId);
+        });
+      }
+    }, 0);
+  }, true);
+
+  function showStatusOverlay(mediaElement, messageId) {
+    if (statusOverlay && statusOverlay.messageId === messageId) return;
+    removeStatusOverlay();
+
+    const overlay = document.createElement("div");
+    overlay.id = "whatsappGeminiTranscriber-statusCaption";
+    overlay.style.position = "fixed";
+    overlay.style.zIndex = "10001";
+    overlay.style.padding = "8px 12px";
+    overlay.style.borderRadius = "8px";
+    overlay.style.backgroundColor = "rgba(0, 0, 0, 0.65)";
+    overlay.style.color = "#ffffff";
+    overlay.style.fontSize = "15px";
+    overlay.style.lineHeight = "1.4";
+    overlay.style.textAlign = "center";
+    overlay.style.maxHeight = "30vh";
+    overlay.style.overflowY = "auto";
+
+    const caption = document.createElement("div");
+    overlay.appendChild(caption);
+
+    const transcribeButton = document.createElement("button");
+    transcribeButton.innerText = "Transcribe status";
+    transcribeButton.style.padding = "4px 10px";
+    transcribeButton.style.border = "1px solid rgba(255, 255, 255, 0.6)";
+    transcribeButton.style.borderRadius = "5px";
+    transcribeButton.style.cursor = "pointer";
+    transcribeButton.style.backgroundColor = "transparent";
+    transcribeButton.style.color = "#ffffff";
+    transcribeButton.style.fontSize = "13px";
+    overlay.appendChild(transcribeButton);
+
+    const state = {
+      messageId: messageId,
+      mediaElement: mediaElement,
+      overlay: overlay,
+      caption: caption,
+      result: null,
+      controller: new AbortController(),
+      wasConnected: mediaElement.isConnected
+    };
+
+    const onTimeUpdate = () => renderStatusCaption(state);
+    const onEnded = () => {
+      if (!state.wasConnected) removeStatusOverlay();
+    };
+    mediaElement.addEventListener("timeupdate", onTimeUpdate);
+    mediaElement.addEventListener("ended", onEnded);
+    state.cleanup = () => {
+      mediaElement.removeEventListener("timeupdate", onTimeUpdate);
+      mediaElement.removeEventListener("ended", onEnded);
+    };
+
+    // Follow the media element while the viewer is open; drop the overlay once
+    // the viewer closes or moves on to another status
+    state.timer = setInterval(() => {
+      if ((state.wasConnected && !mediaElement.isConnected) || mediaElement.dataset.whatsappGeminiStatusId !== messageId) {
+        removeStatusOverlay();
+      } else {
+        positionStatusOverlay(state);
+      }
+    }, 500);
+
+    transcribeButton.addEventListener("click", async (event) => {
+      event.stopPropagation();
+      transcribeButton.remove();
+      caption.textContent = "Transcribing...";
+      try {
+        state.result = await fetchTranscription(messageId, {
+          signal: state.controller.signal,
+          onPartial: (text, redactions) => {
+            caption.textContent = "";
+            appendRedactedText(caption, text, redactions);
+          }
+        });
+        renderStatusCaption(state);
+      } catch (error) {
+        if (error.cancelled) return;
+        console.error("[Content] Status transcription failed:", error);
+        caption.textContent = `Error: ${error.message}`;
+      }
+    });
+
+    statusOverlay = state;
+    document.body.appendChild(overlay);
+    positionStatusOverlay(state);
+
+    // Show the caption straight away when this status was transcribed before
+    requestFromBackground({
+      action: "getCachedTranscription",
+      messageId: messageId,
+      context: { chatId: TranscriptionRules.getChatId(messageId) }
+    }).then((response) => {
+      if (response.cached && statusOverlay === state && !state.result) {
+        transcribeButton.remove();
+        state.result = response.result;
+        renderStatusCaption(state);
+      }
+    }).catch(() => {});
+  }
+
+  // Sit over the lower part of a video, or near the bottom of the viewer for
+  // voice statuses whose audio element has no layout box
+  function positionStatusOverlay(state) {
+    const rect = state.mediaElement.getBoundingClientRect();
+    if (rect.width > 0 && rect.height > 0) {
+      state.overlay.style.left = `${rect.left + 16}px`;
+      state.overlay.style.width = `${Math.max(rect.width - 32, 120)}px`;
+      state.overlay.style.bottom = `${Math.max(window.innerHeight - rect.bottom + 48, 16)}px`;
+    } else {
+      state.overlay.style.left = "20%";
+      state.overlay.style.width = "60%";
+      state.overlay.style.bottom = "120px";
+    }
+  }
+
+  // Show the segment being played when timestamps exist, otherwise the whole transcript
+  function renderStatusCaption(state) {
+    const result = state.result;
+    if (!result) return;
+
+    let text = result.transcription;
+    if (result.segments && result.segments.length > 0) {
+      const time = state.mediaElement.currentTime;
+      const segment = result.segments.find(candidate => time >= candidate.start && time < candidate.end) ||
+        result.segments.filter(candidate => candidate.start <= time).pop() ||
+        result.segments[0];
+      text = segment.text;
+    }
+
+    // Rebuild only when the line changes, so a revealed value stays revealed
+    if (state.captionResult === result && state.captionText === text) return;
+    state.captionResult = result;
+    state.captionText = text;
+    state.caption.textContent = "";
+    appendRedactedText(state.caption, text, result.redactions);
+
+    if (result.translation) {
+      const translation = document.createElement("div");
+      translation.style.marginTop = "4px";
+      translation.style.fontSize = "13px";
+      translation.style.opacity = "0.85";
+      appendRedactedText(translation, result.translation, result.redactions);
+      state.caption.appendChild(translation);
+    }
+  }
+
+  function removeStatusOverlay() {
+    if (!statusOverlay) return;
+    clearInterval(statusOverlay.timer);
+    statusOverlay.cleanup();
+    statusOverlay.controller.abort();
+    statusOverlay.overlay.remove();
+    statusOverlay = null;
+  }
+
   // Keep-alive mechanism for service worker
   let keepAlivePort;
 
@@ -235,17 +1821,13 @@ console.log("Whats up Gemini? content script loaded.");
 
   // Observe the DOM for new voice message elements
   const observer = new MutationObserver((mutations) => {
+    addChatHeaderButtons();
     mutations.forEach((mutation) => {
       if (mutation.addedNodes) {
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType === 1) { // Element node
-            const voiceMessageSpans = node.querySelectorAll("span[aria-label='Voice message']");
-            voiceMessageSpans.forEach(span => {
-              const voiceMessageElement = span.closest("div.x78zum5.x6s0dn4.xzt5al7.xjkvuk6");
-              if (voiceMessageElement) {
-                addTranscriptionButton(voiceMessageElement);
-              }
-            });
+            queueMediaCheck(node);
+            selectors.findVoiceMessages(node).forEach(addTranscriptionButton);
           }
         });
       }
@@ -257,22 +1839,13 @@ console.log("Whats up Gemini? content script loaded.");
 
   // Also check for existing voice message elements on page load
   document.addEventListener("DOMContentLoaded", () => {
-    document.querySelectorAll("span[aria-label='Voice message']").forEach(span => {
-      const voiceMessageElement = span.closest("div.x78zum5.x6s0dn4.xzt5al7.xjkvuk6");
-      if (voiceMessageElement) {
-        addTranscriptionButton(voiceMessageElement);
-      }
-    });
+    selectors.findVoiceMessages(document.body).forEach(addTranscriptionButton);
   });
 
   // Check for voice message elements after a short delay to catch dynamically loaded content
   setTimeout(() => {
-    document.querySelectorAll("span[aria-label='Voice message']").forEach(span => {
-      const voiceMessageElement = span.closest("div.x78zum5.x6s0dn4.xzt5al7.xjkvuk6");
-      if (voiceMessageElement) {
-        addTranscriptionButton(voiceMessageElement);
-      }
-    });
+    queueMediaCheck(document.body);
+    selectors.findVoiceMessages(document.body).forEach(addTranscriptionButton);
   }, 2000);
 })();
 
@@ -0,0 +1,145 @@
+// history.js
+
+document.addEventListener("DOMContentLoaded", () => {
+  const history = new TranscriptionHistory();
+  const searchInput = document.getElementById("searchInput");
+  const chatFilter = document.getElementById("chatFilter");
+  const fromDate = document.getElementById("fromDate");
+  const toDate = document.getElementById("toDate");
+  const resultCount = document.getElementById("resultCount");
+  const statusMessage = document.getElementById("statusMessage");
+  const historyList = document.getElementById("historyList");
+  let searchTimeout = null;
+
+  // Fill the chat filter with every chat that has transcripts
+  async function loadChats() {
+    const chats = await history.getChats();
+    chats.forEach(chat => {
+      const option = document.createElement("option");
+      option.value = chat.chatId;
+      option.textContent = chat.chatName;
+      chatFilter.appendChild(option);
+    });
+  }
+
+  // Date inputs hold local dates; "to" covers the whole selected day
+  function readFilter() {
+    return {
+      query: searchInput.value,
+      chatId: chatFilter.value,
+      from: fromDate.value ? new Date(`${fromDate.value}T00:00:00`).getTime() : null,
+      to: toDate.value ? new Date(`${toDate.value}T23:59:59.999`).getTime() : null
+    };
+  }
+
+  function formatDuration(seconds) {
+    if (!seconds) return "";
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, "0")}`;
+  }
+
+  function renderEntry(entry) {
+    const item = document.createElement("li");
+    item.className = "history-entry";
+
+    const meta = document.createElement("div");
+    meta.className = "entry-meta";
+
+    const chatName = document.createElement("span");
+    chatName.className = "entry-chat";
+    chatName.textContent = entry.chatName || entry.chatId;
+    meta.appendChild(chatName);
+
+    [entry.senderName, new Date(entry.timestamp).toLocaleString(), formatDuration(entry.duration), entry.language]
+      .filter(Boolean)
+      .forEach(text => {
+        const span = document.createElement("span");
+        span.textContent = text;
+        meta.appendChild(span);
+      });
+
+    const jumpButton = document.createElement("button");
+    jumpButton.className = "jump-btn";
+    jumpButton.textContent = "Jump to message";
+    jumpButton.addEventListener("click", () => jumpToMessage(entry.messageId));
+    meta.appendChild(jumpButton);
+    item.appendChild(meta);
+
+    if (entry.summary) {
+      const summary = document.createElement("div");
+      summary.className = "entry-summary";
+      summary.textContent = entry.summary;
+      item.appendChild(summary);
+    }
+
+    const text = document.createElement("div");
+    text.className = "entry-text";
+    text.textContent = entry.transcription;
+    item.appendChild(text);
+
+    if (entry.translation) {
+      const translation = document.createElement("div");
+      translation.className = "entry-translation";
+      translation.textContent = entry.translation;
+      item.appendChild(translation);
+    }
+
+    return item;
+  }
+
+  async function render() {
+    try {
+      const entries = await history.query(readFilter());
+      historyList.replaceChildren(...entries.map(renderEntry));
+      resultCount.textContent = `${entries.length} transcript(s)`;
+    } catch (error) {
+      console.error("[History] Failed to load history:", error);
+      showStatus("Failed to load the transcription history.");
+    }
+  }
+
+  function showStatus(message) {
+    statusMessage.textContent = message;
+    setTimeout(() => {
+      statusMessage.textContent = "";
+    }, 5000);
+  }
+
+  // Focus the WhatsApp Web tab and ask it to scroll to the message
+  async function jumpToMessage(storedId) {
+    const messageId = await TranscriptionHistory.resolveMessageId(storedId);
+    if (!messageId) {
+      showStatus("This transcript was saved with redaction on, so its message can only be opened until the browser is closed.");
+      return;
+    }
+
+    const [tab] = await chrome.tabs.query({ url: "*://web.whatsapp.com/*" });
+    if (!tab) {
+      showStatus("Open WhatsApp Web to jump to this message.");
+      return;
+    }
+
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+
+    chrome.tabs.sendMessage(tab.id, { action: "openMessage", messageId: messageId }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        showStatus("Could not reach WhatsApp Web. Try reloading the tab.");
+      } else if (response.error) {
+        showStatus(response.error);
+      }
+    });
+  }
+
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(render, 200);
+  });
+  chatFilter.addEventListener("change", render);
+  fromDate.addEventListener("change", render);
+  toDate.addEventListener("change", render);
+
+  loadChats()
+    .catch(error => console.error("[History] Failed to load chats:", error))
+    .then(render);
+});
@@ -2,185 +2,622 @@
 
 console.log("Whats up Gemini? inject script loaded.");
 
-// JWT-authenticated Store initialization (page context compatible)
-let pageJWTUtils = null;
-let storeInitialized = false;
-
-// Initialize JWT utilities and Store objects
-async function initializeStoreWithJWT() {
-  try {
-    // Initialize page-compatible JWT utilities if not already done
-    if (!pageJWTUtils && typeof window.PageJWTUtils === 'function') {
-      pageJWTUtils = new window.PageJWTUtils();
-      console.log("[Inject] Page JWT utilities initialized");
-    }
-    
-    // Debug: Check what's available in window
-    console.log("[Inject] Checking available functions:", {
-      ExposeStore: typeof window.ExposeStore,
-      PageJWTUtils: typeof window.PageJWTUtils,
-      cometModuleRaid: typeof window.cometModuleRaid,
-      mR: typeof window.mR,
-      _moduleRaid: typeof window._moduleRaid
-    });
-    
-    // Check if ExposeStore function is available
-    if (typeof window.ExposeStore === 'function' && !storeInitialized) {
-      try {
-        console.log("[Inject] Calling ExposeStore function...");
-        window.ExposeStore();
-        storeInitialized = true;
-        console.log("[Inject] WhatsApp Store objects exposed successfully");
-        
-        // Verify Store objects are available
-        console.log("[Inject] Store objects check:", {
-          Store: typeof window.Store,
-          Msg: window.Store ? typeof window.Store.Msg : 'Store not available',
-          DownloadManager: window.Store ? typeof window.Store.DownloadManager : 'Store not available'
-        });
-      } catch (error) {
-        console.error("[Inject] Error calling ExposeStore:", error);
+// The background runs this file in the page's own world with chrome.scripting,
+// where page scripts share its globals. Everything stays inside this function so
+// they can neither call the Store helpers directly, skipping the authenticated
+// channel, nor read or replace the RPC server.
+(function() {
+  let storeInitialized = false;
+
+  // Which Store modules resolved, and which features can work with them
+  const storeCapabilities = new window.StoreCapabilities();
+
+  // Initialize Store objects
+  async function initializeStore() {
+    try {
+      // Debug: Check what's available in window
+      console.log("[Inject] Checking available functions:", {
+        ExposeStore: typeof window.ExposeStore,
+        cometModuleRaid: typeof window.cometModuleRaid,
+        mR: typeof window.mR,
+        _moduleRaid: typeof window._moduleRaid
+      });
+
+      // Check if ExposeStore function is available
+      if (typeof window.ExposeStore === 'function' && !storeInitialized) {
+        try {
+          console.log("[Inject] Calling ExposeStore function...");
+          window.ExposeStore();
+          storeInitialized = true;
+          console.log("[Inject] WhatsApp Store objects exposed successfully");
+
+          // Verify Store objects are available
+          const report = storeCapabilities.getReport();
+          console.log("[Inject] Store objects check:", {
+            Store: report.storeExposed,
+            downloadVariant: report.downloadVariant,
+            unavailableFeatures: report.features.filter(feature => !feature.available).map(feature => feature.name),
+            loadErrors: report.loadErrors
+          });
+        } catch (error) {
+          console.error("[Inject] Error calling ExposeStore:", error);
+        }
       }
-    } 
-  } catch (error) {
-    console.error("[Inject] Store initialization with JWT failed:", error);
-    setTimeout(initializeStoreWithJWT, 1000);
+
+      // Module load failures are only reported while ExposeStore runs
+      storeCapabilities.stopCapturing();
+    } catch (error) {
+      console.error("[Inject] Store initialization failed:", error);
+      setTimeout(initializeStore, 1000);
+    }
+  }
+
+  // Start the initialization process
+  setTimeout(initializeStore, 100);
+
+  // The media element WhatsApp most recently started playing, so transcript
+  // timestamps can seek the voice message the user just opened. Set by the
+  // capturing play listener below.
+  let lastPlayedMedia = null;
+
+  // Status updates are shown in a viewer without message IDs in the DOM. When a
+  // status starts playing, find its message by the blob URL WhatsApp rendered it
+  // from and tag the media element so the content script can overlay captions.
+  function findStatusMessageForMedia(mediaElement) {
+    if (!storeCapabilities.has("statusCaptions")) return null;
+    const source = mediaElement.currentSrc || mediaElement.src;
+    if (!source) return null;
+
+    return window.Store.Msg.getModelsArray().find(msg =>
+      msg.isStatusV3 &&
+      isTranscribableMessage(msg) &&
+      msg.mediaData &&
+      msg.mediaData.renderableUrl === source
+    ) || null;
   }
-}
 
-// Start the initialization process
-setTimeout(initializeStoreWithJWT, 100);
+  document.addEventListener("play", (event) => {
+    const mediaElement = event.target;
+    if (!(mediaElement instanceof HTMLMediaElement)) return;
+    lastPlayedMedia = mediaElement;
+
+    const statusMsg = findStatusMessageForMedia(mediaElement);
+    if (statusMsg) {
+      mediaElement.dataset.whatsappGeminiStatusId = statusMsg.id._serialized;
+    } else {
+      delete mediaElement.dataset.whatsappGeminiStatusId;
+    }
+  }, true);
 
-// Function to get audio data from WhatsApp's internal store with JWT authentication
-async function getWhatsAppAudioData(messageId, jwtToken) {
-  return new Promise(async (resolve, reject) => {
-    // Validate JWT token first (basic validation without Chrome APIs)
-    if (jwtToken && pageJWTUtils) {
+  // Media travels base64-encoded (a third larger) to the service worker, whose
+  // runtime messages are capped at 64 MiB, so larger files are refused up front
+  const MAX_TRANSCRIBABLE_MEDIA_BYTES = 40 * 1024 * 1024;
+
+  function createMediaTooLargeError(bytes) {
+    const error = new Error(`This media is ${Math.round(bytes / 1024 / 1024)} MB; files up to ${MAX_TRANSCRIBABLE_MEDIA_BYTES / 1024 / 1024} MB can be transcribed.`);
+    error.category = 'media_too_large';
+    return error;
+  }
+
+  // Message types whose media can be transcribed: voice notes, audio files, videos,
+  // round video notes (ptv) and audio/video files sent as documents
+  function isTranscribableMessage(msg) {
+    if (['ptt', 'audio', 'video', 'ptv'].includes(msg.type)) return true;
+    return msg.type === 'document' && /^(audio|video)\//.test(msg.mimetype || '');
+  }
+
+  // Display name of a message's sender
+  function getSenderName(storeMsg, msg = storeMsg) {
+    if (storeMsg.id.fromMe) return 'Me';
+    const sender = storeMsg.senderObj;
+    return sender ? (sender.pushname || sender.formattedName || sender.name || '') : (msg.notifyName || '');
+  }
+
+  // Describe who sent a message and where, for prompt templates
+  async function getMessageContext(storeMsg) {
+    const msg = window.WWebJS && window.WWebJS.getMessageModel ? window.WWebJS.getMessageModel(storeMsg) : storeMsg;
+    const chatModel = window.Store.Chat ? window.Store.Chat.get(storeMsg.id.remote) : null;
+    let chat = chatModel;
+    if (chatModel && window.WWebJS && window.WWebJS.getChatModel) {
       try {
-        const validation = pageJWTUtils.validateBasicToken(jwtToken);
-        if (!validation.valid) {
-          return reject("JWT token validation failed: " + validation.error);
-        }
-        console.log("[Inject] JWT token validated successfully for message:", messageId);
-        if (validation.note) {
-          console.log("[Inject] Note:", validation.note);
-        }
+        chat = await window.WWebJS.getChatModel(chatModel);
       } catch (error) {
-        return reject("JWT token validation error: " + error.message);
+        console.warn("[Inject] Could not serialize chat model, using the raw model:", error);
       }
-    } else if (jwtToken) {
-      console.warn("[Inject] JWT token provided but PageJWTUtils not available, proceeding without validation");
-    } else {
-      console.warn("[Inject] No JWT token provided");
     }
 
-    if (!window.Store || !window.Store.Msg || !window.Store.DownloadManager) {
-      return reject("WhatsApp internal Store objects not found. Ensure lib.js is loaded and ExposeStore() is called.");
-    }
+    return {
+      chatId: storeMsg.id.remote._serialized || String(storeMsg.id.remote),
+      chatName: chat ? (chat.formattedTitle || chat.name || '') : '',
+      isGroup: chat ? !!chat.isGroup : false,
+      senderName: getSenderName(storeMsg, msg),
+      timestamp: msg.t ? msg.t * 1000 : Date.now(), // Store timestamps are in seconds
+      duration: Number(msg.duration) || 0,
+      // Message metadata kept with the transcript for exports; media keys are left out
+      message: {
+        id: msg.id && msg.id._serialized,
+        type: msg.type,
+        from: msg.from && (msg.from._serialized || String(msg.from)),
+        to: msg.to && (msg.to._serialized || String(msg.to)),
+        author: msg.author ? (msg.author._serialized || String(msg.author)) : null,
+        fromMe: !!(msg.id && msg.id.fromMe),
+        t: msg.t,
+        mimetype: msg.mimetype || null,
+        size: msg.size || null,
+        isForwarded: !!msg.isForwarded
+      }
+    };
+  }
 
-    // WhatsApp message IDs are complex. Try to get the message using the provided ID.
-    // Handle Store.Wid constructor issues with improved error handling
-    let msgKey;
-    try {
-      // First, try to find the message directly in the Store
-      const directMsg = window.Store.Msg.get(messageId);
-      if (directMsg) {
+  // Function to get audio data from WhatsApp's internal store. Only reachable
+  // through the authenticated RPC channel (see page-rpc.js).
+  async function getWhatsAppAudioData(messageId, signal) {
+    return new Promise(async (resolve, reject) => {
+      try {
+        storeCapabilities.assert("transcribe");
+      } catch (error) {
+        return reject(error);
+      }
+
+      // WhatsApp message IDs are complex. Try to get the message using the provided ID.
+      // Handle Store.Wid constructor issues with improved error handling
+      let msgKey;
+      try {
+        // First, try to find the message directly in the Store
+        const directMsg = window.Store.Msg.get(messageId);
+        if (directMsg) {
+          msgKey = messageId;
+        } else {
+          // Try parsing the messageId format 'false_12345@c.us_ABCDEF'
+          const parts = messageId.split('_');
+          if (parts.length >= 3 && storeCapabilities.has("messageIds")) {
+            try {
+              // Use WidFactory instead of direct Wid constructor
+              const remoteWid = window.Store.WidFactory.createWid(parts[1]);
+              msgKey = {
+                id: parts[2],
+                fromMe: parts[0] === 'true',
+                remote: remoteWid,
+              };
+            } catch (widError) {
+              console.warn("[Inject] WidFactory failed, trying alternative approach:", widError);
+              msgKey = messageId;
+            }
+          } else {
+            msgKey = messageId;
+          }
+        }
+      } catch (e) {
+        console.warn("[Inject] Could not parse messageId, trying direct use:", messageId, e);
         msgKey = messageId;
-      } else {
-        // Try parsing the messageId format 'false_12345@c.us_ABCDEF'
-        const parts = messageId.split('_');
-        if (parts.length >= 3 && window.Store.WidFactory) {
+      }
+
+      const storeMsg = window.Store.Msg.get(msgKey);
+
+      if (!storeMsg) {
+        return reject("Message not found in WhatsApp store with ID: " + messageId);
+      }
+
+      if (isTranscribableMessage(storeMsg)) {
+        // Use WWebJS utility if available, otherwise try direct download manager
+        const msg = window.WWebJS && window.WWebJS.getMessageModel ? window.WWebJS.getMessageModel(storeMsg) : storeMsg;
+
+        const dlFn = storeCapabilities.getDownloadFunction();
+        if (msg.size > MAX_TRANSCRIBABLE_MEDIA_BYTES) {
+          return reject(createMediaTooLargeError(msg.size));
+        }
+
+        // Ensure all required media properties are present
+        if (dlFn && msg.directPath && msg.encFilehash && msg.filehash && msg.mediaKey) {
           try {
-            // Use WidFactory instead of direct Wid constructor
-            const remoteWid = window.Store.WidFactory.createWid(parts[1]);
-            msgKey = {
-              id: parts[2],
-              fromMe: parts[0] === 'true',
-              remote: remoteWid,
+            const blobData = await dlFn({
+              directPath: msg.directPath,
+              encFilehash: msg.encFilehash,
+              filehash: msg.filehash,
+              mediaKey: msg.mediaKey,
+              mediaKeyTimestamp: msg.mediaKeyTimestamp,
+              type: msg.type,
+              signal: signal,
+            });
+
+            const blob = new Blob([blobData], { type: msg.mimetype || 'application/octet-stream' });
+            if (blob.size > MAX_TRANSCRIBABLE_MEDIA_BYTES) {
+              return reject(createMediaTooLargeError(blob.size));
+            }
+            const context = await getMessageContext(storeMsg);
+            const reader = new FileReader();
+
+            reader.onload = function () {
+              if (!reader.result || typeof reader.result !== 'string') {
+                return reject("Failed to convert blob to base64.");
+              }
+              const base64Audio = reader.result.split(',')[1]; // Remove data:mime/type;base64, prefix
+              resolve({ base64Audio, mimeType: blob.type, filehash: msg.filehash, context });
             };
-          } catch (widError) {
-            console.warn("[Inject] WidFactory failed, trying alternative approach:", widError);
-            msgKey = messageId;
+
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+          } catch (downloadError) {
+            reject("Error downloading or decrypting audio: " + downloadError.message);
           }
         } else {
-          msgKey = messageId;
+          reject("Required media properties or download function not found for media message. Message ID: " + messageId);
         }
+      } else {
+        reject("Message has no audio or video to transcribe. Message ID: " + messageId);
       }
-    } catch (e) {
-      console.warn("[Inject] Could not parse messageId, trying direct use:", messageId, e);
-      msgKey = messageId;
+    });
+  }
+
+  // Describe the chat currently open in WhatsApp Web
+  function getActiveChatInfo() {
+    storeCapabilities.assert("activeChat");
+
+    const chat = typeof window.Store.Chat.getActive === 'function'
+      ? window.Store.Chat.getActive()
+      : window.Store.Chat.getModelsArray().find(model => model.active);
+
+    if (!chat) {
+      return null;
+    }
+
+    return {
+      id: chat.id._serialized,
+      name: chat.formattedTitle || chat.name || chat.id.user,
+      isGroup: !!chat.isGroup
+    };
+  }
+
+  // What transcription rules can match on for a chat WID: group or direct, the
+  // names of its labels and, for direct chats, whether the contact is saved
+  function getChatRuleFacts(chatId) {
+    storeCapabilities.assert("transcriptionRules");
+
+    const chat = window.Store.Chat.get(chatId);
+    const isGroup = chat ? !!chat.isGroup : /@g\.us$/.test(chatId);
+    const labels = ((chat && chat.labels) || [])
+      .map(labelId => window.Store.Label.get(labelId))
+      .filter(Boolean)
+      .map(label => label.name);
+
+    let isMyContact = null;
+    if (!isGroup) {
+      const contact = window.Store.Contact.get(chatId);
+      if (contact) {
+        isMyContact = window.WWebJS && window.WWebJS.getContactModel
+          ? !!window.WWebJS.getContactModel(contact).isMyContact
+          : !!contact.isMyContact;
+      }
+    }
+
+    return { chatId: chatId, isGroup: isGroup, labels: labels, isMyContact: isMyContact };
+  }
+
+  // Collect the IDs of every voice or video message in the open chat, loading earlier
+  // history until WhatsApp reports there is nothing left (or a safety cap is hit)
+  async function getChatVoiceMessageIds(signal, maxMessages = 5000) {
+    storeCapabilities.assert("batch");
+
+    const chat = typeof window.Store.Chat.getActive === 'function'
+      ? window.Store.Chat.getActive()
+      : window.Store.Chat.getModelsArray().find(model => model.active);
+    if (!chat) {
+      throw new Error("No chat is open.");
     }
 
-    const storeMsg = window.Store.Msg.get(msgKey);
+    while (chat.msgs.length < maxMessages && !(chat.msgs.msgLoadState && chat.msgs.msgLoadState.noEarlierMsgs)) {
+      if (signal && signal.aborted) break;
+      const loadedMessages = await window.Store.ConversationMsgs.loadEarlierMsgs(chat);
+      if (!loadedMessages || loadedMessages.length === 0) break;
+    }
 
+    const messageIds = chat.msgs.getModelsArray()
+      .filter(isTranscribableMessage)
+      .sort((a, b) => a.t - b.t)
+      .map(msg => msg.id._serialized);
+
+    console.log("[Inject] Found", messageIds.length, "voice messages in chat:", chat.id._serialized);
+    return { chat: getActiveChatInfo(), messageIds };
+  }
+
+  // List the voice and video messages of the open chat sent since a timestamp (ms). With
+  // sinceLastRead, WhatsApp's unread marker wins over the given timestamp.
+  async function getVoiceMessagesSince(since, sinceLastRead, signal, maxMessages = 2000) {
+    storeCapabilities.assert("batch");
+
+    const chat = typeof window.Store.Chat.getActive === 'function'
+      ? window.Store.Chat.getActive()
+      : window.Store.Chat.getModelsArray().find(model => model.active);
+    if (!chat) {
+      throw new Error("No chat is open.");
+    }
+
+    let messages = chat.msgs.getModelsArray();
+    if (sinceLastRead && chat.unreadCount > 0 && messages.length >= chat.unreadCount) {
+      since = messages[messages.length - chat.unreadCount].t * 1000;
+    }
+
+    // Load earlier history until the window start is covered
+    while (messages.length < maxMessages && messages.length > 0 && messages[0].t * 1000 > since &&
+      !(chat.msgs.msgLoadState && chat.msgs.msgLoadState.noEarlierMsgs)) {
+      if (signal && signal.aborted) break;
+      const loadedMessages = await window.Store.ConversationMsgs.loadEarlierMsgs(chat);
+      if (!loadedMessages || loadedMessages.length === 0) break;
+      messages = chat.msgs.getModelsArray();
+    }
+
+    const voiceMessages = messages
+      .filter(msg => isTranscribableMessage(msg) && msg.t * 1000 >= since)
+      .sort((a, b) => a.t - b.t)
+      .map(msg => ({
+        messageId: msg.id._serialized,
+        senderName: getSenderName(msg),
+        timestamp: msg.t * 1000
+      }));
+
+    return { chat: getActiveChatInfo(), since: since, messages: voiceMessages };
+  }
+
+  // The last text messages of a message's chat, oldest first, as reply context
+  function getRecentTextMessages(messageId, count) {
+    storeCapabilities.assert("replyContext");
+
+    const storeMsg = window.Store.Msg.get(messageId);
     if (!storeMsg) {
-      return reject("Message not found in WhatsApp store with ID: " + messageId);
+      throw new Error("Message not found in WhatsApp store with ID: " + messageId);
     }
 
-    // Check if it's an audio message
-    const isAudio = (msg) => msg.type === 'ptt' || msg.type === 'audio';
+    const chat = window.Store.Chat.get(storeMsg.id.remote);
+    if (!chat) {
+      return { senderName: getSenderName(storeMsg), messages: [] };
+    }
 
-    if (isAudio(storeMsg)) {
-      // Use WWebJS utility if available, otherwise try direct download manager
-      const msg = window.WWebJS && window.WWebJS.getMessageModel ? window.WWebJS.getMessageModel(storeMsg) : storeMsg;
+    const messages = chat.msgs.getModelsArray()
+      .filter(msg => msg.type === 'chat' && msg.body && msg.t <= storeMsg.t)
+      .sort((a, b) => a.t - b.t)
+      .slice(-count)
+      .map(msg => ({ senderName: getSenderName(msg), body: msg.body }));
 
-      const dlFn =
-        window.Store.DownloadManager.downloadAndDecrypt ||
-        window.Store.DownloadManager.downloadAndMaybeDecrypt;
+    return { senderName: getSenderName(storeMsg), messages };
+  }
 
-      // Ensure all required media properties are present
-      if (dlFn && msg.directPath && msg.encFilehash && msg.filehash && msg.mediaKey) {
-        try {
-          const blobData = await dlFn({
-            directPath: msg.directPath,
-            encFilehash: msg.encFilehash,
-            filehash: msg.filehash,
-            mediaKey: msg.mediaKey,
-            mediaKeyTimestamp: msg.mediaKeyTimestamp,
-            type: msg.type,
-            signal: new AbortController().signal,
-          });
+  // Send a text reply quoting the given message
+  async function sendQuotedReply(messageId, text) {
+    storeCapabilities.assert("sendReply");
+
+    const storeMsg = window.Store.Msg.get(messageId);
+    if (!storeMsg) {
+      throw new Error("Message not found in WhatsApp store with ID: " + messageId);
+    }
+
+    const chat = window.Store.Chat.get(storeMsg.id.remote) || await window.Store.Chat.find(storeMsg.id.remote);
+    await window.WWebJS.sendMessage(chat, text, { quotedMessageId: messageId });
+  }
+
+  // Send synthesized audio as a voice note (ptt) quoting the given message
+  async function sendVoiceReply(messageId, base64Audio, mimeType) {
+    storeCapabilities.assert("voiceReply");
+
+    const storeMsg = window.Store.Msg.get(messageId);
+    if (!storeMsg) {
+      throw new Error("Message not found in WhatsApp store with ID: " + messageId);
+    }
+
+    // WhatsApp voice notes (ptt) are Ogg/Opus; other audio, such as Gemini's WAV,
+    // would not play as one and is sent as a regular audio attachment
+    const isOpus = mimeType.startsWith('audio/ogg');
+    const chat = window.Store.Chat.get(storeMsg.id.remote) || await window.Store.Chat.find(storeMsg.id.remote);
+    await window.WWebJS.sendMessage(chat, '', {
+      attachment: {
+        data: base64Audio,
+        mimetype: mimeType,
+        filename: isOpus ? 'voice-reply.ogg' : 'voice-reply.wav'
+      },
+      sendAudioAsVoice: isOpus,
+      quotedMessageId: messageId
+    });
+  }
+
+  // Report which of the given messages carry transcribable media, so the content
+  // script can attach controls to bubbles it cannot recognise from the DOM alone
+  function getTranscribableMessages(messageIds) {
+    storeCapabilities.assert("mediaDetection");
+
+    return messageIds
+      .map(messageId => window.Store.Msg.get(messageId))
+      .filter(msg => msg && isTranscribableMessage(msg))
+      .map(msg => ({ messageId: msg.id._serialized, type: msg.type, mimetype: msg.mimetype || null }));
+  }
+
+  // Open the chat containing a message and scroll to it
+  async function openMessage(messageId) {
+    storeCapabilities.assert("openMessage");
+
+    const storeMsg = window.Store.Msg.get(messageId);
+    if (!storeMsg) {
+      throw new Error("Message is no longer loaded in WhatsApp. Open its chat and scroll back to it.");
+    }
+
+    const chat = window.Store.Chat.get(storeMsg.id.remote) || await window.Store.Chat.find(storeMsg.id.remote);
+    const searchContext = await window.Store.SearchContext(chat, storeMsg);
+    await window.Store.Cmd.openChatAt(chat, searchContext);
+  }
+
+  // Calls from the content script over the authenticated channel. The crypto
+  // helpers mirror page-rpc.js, which holds the client side.
+  const RPC_HANDSHAKE = "whatsappGeminiTranscriber_rpcConnect";
+
+  // How long a request token stays valid, and how far clocks may disagree
+  const RPC_TOKEN_TTL_MS = 30000;
+  const RPC_CLOCK_SKEW_MS = 5000;
+
+  const toHex = buffer => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, "0")).join("");
+  const fromHex = hex => new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
+
+  const importRpcKey = secret => crypto.subtle.importKey("raw", fromHex(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]);
 
-          const blob = new Blob([blobData], { type: msg.mimetype || 'application/octet-stream' });
-          const reader = new FileReader();
+  const signRpcPayload = async (key, text) => toHex(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(text)));
 
-          reader.onload = function () {
-            if (!reader.result || typeof reader.result !== 'string') {
-              return reject("Failed to convert blob to base64.");
+  const verifyRpcPayload = (key, text, mac) => {
+    if (typeof text !== "string" || typeof mac !== "string") {
+      return Promise.resolve(false);
+    }
+    return crypto.subtle.verify("HMAC", key, fromHex(mac), new TextEncoder().encode(text));
+  };
+
+  // Dispatches calls to registered handlers, which receive the call's params and
+  // an AbortSignal that fires when the caller cancels or times out. Requests with
+  // a bad signature, a stale timestamp or a reused nonce are dropped.
+  class PageRpcServer {
+    constructor(secret) {
+      this.handlers = new Map();
+      this.controllers = new Map();
+      this.usedNonces = new Map(); // nonce -> time it can be forgotten
+      this.keyPromise = importRpcKey(secret);
+      this.port = null;
+
+      this.onHandshake = event => this.handleHandshake(event);
+      window.addEventListener("message", this.onHandshake);
+    }
+
+    // Accept the first channel signed with the shared secret and ignore the rest
+    async handleHandshake(event) {
+      const data = event.data;
+      if (event.source !== window || !data || data.type !== RPC_HANDSHAKE || !event.ports[0]) return;
+      if (this.port || !(await verifyRpcPayload(await this.keyPromise, `${RPC_HANDSHAKE}:${data.nonce}`, data.mac))) {
+        console.warn("[Inject] Rejected an RPC handshake");
+        return;
+      }
+
+      window.removeEventListener("message", this.onHandshake);
+      this.port = event.ports[0];
+      this.port.onmessage = message => this.handleMessage(message.data);
+      console.log("[Inject] RPC channel connected");
+    }
+
+    handle(method, handler) {
+      this.handlers.set(method, handler);
+      return this;
+    }
+
+    handleMessage(data) {
+      if (!data) return;
+      if (data.type === "cancel") {
+        const controller = this.controllers.get(data.id);
+        if (controller) controller.abort();
+      } else if (data.type === "request") {
+        this.handleRequest(data);
+      }
+    }
+
+    // Spend a request's token, returning the request when it is authentic and fresh
+    async authenticate(data) {
+      if (!(await verifyRpcPayload(await this.keyPromise, data.request, data.mac))) {
+        throw new Error("invalid signature");
+      }
+
+      const request = JSON.parse(data.request);
+      const now = Date.now();
+      for (const [nonce, expiresAt] of this.usedNonces) {
+        if (expiresAt < now) this.usedNonces.delete(nonce);
+      }
+
+      if (!(request.issuedAt > now - RPC_TOKEN_TTL_MS && request.issuedAt < now + RPC_CLOCK_SKEW_MS)) {
+        throw new Error("expired token");
+      }
+      if (this.usedNonces.has(request.nonce)) {
+        throw new Error("replayed token");
+      }
+      this.usedNonces.set(request.nonce, request.issuedAt + RPC_TOKEN_TTL_MS + RPC_CLOCK_SKEW_MS);
+      return request;
+    }
+
+    async handleRequest(data) {
+      let request;
+      try {
+        request = await this.authenticate(data);
+      } catch (error) {
+        console.warn(`[Inject] Rejected an RPC request: ${error.message}`);
+        return;
+      }
+      const { id, method, params } = request;
+
+      const handler = this.handlers.get(method);
+      if (!handler) {
+        this.respond(id, { error: { code: "unknown_method", message: `Unknown page method: ${method}` } });
+        return;
+      }
+
+      const controller = new AbortController();
+      this.controllers.set(id, controller);
+      try {
+        const result = await handler(params || {}, controller.signal);
+        if (!controller.signal.aborted) {
+          this.respond(id, { result: result });
+        }
+      } catch (error) {
+        console.error(`[Inject] Error handling ${method}:`, error);
+        if (!controller.signal.aborted) {
+          this.respond(id, {
+            error: {
+              code: "remote",
+              message: error && error.message ? error.message : String(error),
+              category: error && error.category ? error.category : undefined
             }
-            const base64Audio = reader.result.split(',')[1]; // Remove data:mime/type;base64, prefix
-            resolve({ base64Audio, mimeType: blob.type });
-          };
-
-          reader.onerror = reject;
-          reader.readAsDataURL(blob);
-        } catch (downloadError) {
-          reject("Error downloading or decrypting audio: " + downloadError.message);
+          });
         }
-      } else {
-        reject("Required media properties or download function not found for audio message. Message ID: " + messageId);
+      } finally {
+        this.controllers.delete(id);
       }
-    } else {
-      reject("Message is not an audio message. Message ID: " + messageId);
     }
-  });
-}
 
-// Listen for custom events from the content script to request audio data with JWT
-document.addEventListener("whatsappGeminiTranscriber_getAudioData", async (event) => {
-  const { messageId, jwtToken } = event.detail;
-  try {
-    console.log("[Inject] Processing audio data request with JWT for message:", messageId);
-    const { base64Audio, mimeType } = await getWhatsAppAudioData(messageId, jwtToken);
-    document.dispatchEvent(new CustomEvent("whatsappGeminiTranscriber_audioDataResponse", {
-      detail: { messageId, base64Audio, mimeType }
-    }));
-  } catch (error) {
-    console.error("[Inject] Error in JWT-authenticated getWhatsAppAudioData:", error);
-    document.dispatchEvent(new CustomEvent("whatsappGeminiTranscriber_audioDataResponse", {
-      detail: { messageId, error: error.message }
-    }));
+    async respond(id, payload) {
+      const response = JSON.stringify({ id: id, ...payload });
+      this.port.postMessage({ type: "response", response: response, mac: await signRpcPayload(await this.keyPromise, response) });
+    }
   }
-});
 
+  const rpcSecret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+
+  // Handlers return the response payload or throw, and downloads stop when the caller cancels
+  new PageRpcServer(rpcSecret)
+    .handle("getAudioData", async ({ messageId }, signal) => {
+      console.log("[Inject] Processing audio data request for message:", messageId);
+      const { base64Audio, mimeType, filehash, context } = await getWhatsAppAudioData(messageId, signal);
+      return { messageId, base64Audio, mimeType, filehash, context };
+    })
+    .handle("getActiveChat", () => ({ chat: getActiveChatInfo() }))
+    .handle("getChatRuleFacts", ({ chatId }) => ({ facts: getChatRuleFacts(chatId) }))
+    .handle("getChatVoiceMessages", (params, signal) => getChatVoiceMessageIds(signal))
+    .handle("getVoiceMessagesSince", ({ since, sinceLastRead }, signal) => getVoiceMessagesSince(since, sinceLastRead, signal))
+    .handle("getRecentMessages", ({ messageId, count }) => ({ messageId, ...getRecentTextMessages(messageId, count) }))
+    .handle("getTranscribableMessages", ({ messageIds }) => ({ messages: getTranscribableMessages(messageIds) }))
+    .handle("openMessage", async ({ messageId }) => {
+      await openMessage(messageId);
+      return { messageId };
+    })
+    .handle("sendReply", async ({ messageId, text }) => {
+      await sendQuotedReply(messageId, text);
+      return { messageId };
+    })
+    .handle("sendVoiceReply", async ({ messageId, base64Audio, mimeType }) => {
+      await sendVoiceReply(messageId, base64Audio, mimeType);
+      return { messageId };
+    })
+    .handle("getStoreCapabilities", () => ({ report: storeCapabilities.getReport() }))
+    .handle("seekAudio", ({ seconds }) => {
+      if (!lastPlayedMedia) {
+        throw new Error("No voice message is playing.");
+      }
+
+      lastPlayedMedia.currentTime = seconds;
+      if (lastPlayedMedia.paused) {
+        lastPlayedMedia.play().catch(error => console.warn("[Inject] Could not resume playback:", error));
+      }
+      return { seconds };
+    });
 
+  // The secret is the completion value of this script, which chrome.scripting
+  // returns to the background and the background to the content script
+  return rpcSecret;
+})();
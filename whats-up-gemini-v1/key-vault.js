@@ -0,0 +1,257 @@
+// key-vault.js - Passphrase-encrypted API key vault (service worker)
+
+// The vault lives in chrome.storage.local as
+// { version, salt, iterations, check, keys: { [name]: { provider, iv, data, createdAt } }, activeKeys: { [provider]: name } }.
+// Unlocking derives an AES-GCM key from the passphrase with PBKDF2 and keeps it in
+// chrome.storage.session, which content scripts cannot read and the browser
+// clears when it closes.
+const VAULT_STORAGE_KEY = 'keyVault';
+const VAULT_SESSION_KEY = 'keyVaultSessionKey';
+const VAULT_PBKDF2_ITERATIONS = 310000;
+const VAULT_CHECK_TEXT = 'whats-up-gemini-key-vault';
+
+class KeyVault {
+  toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true, // Exported into session storage while unlocked
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async encrypt(cryptoKey, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, cryptoKey, new TextEncoder().encode(text));
+    return { iv: this.toBase64(iv), data: this.toBase64(data) };
+  }
+
+  async decrypt(cryptoKey, record) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(record.iv) }, cryptoKey, this.fromBase64(record.data));
+    return new TextDecoder().decode(data);
+  }
+
+  async load() {
+    const stored = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+    return stored[VAULT_STORAGE_KEY] || null;
+  }
+
+  async save(vault) {
+    await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: vault });
+  }
+
+  async isEnabled() {
+    return !!(await this.load());
+  }
+
+  // The session's unlocked key, or null while locked
+  async getSessionKey() {
+    const stored = await chrome.storage.session.get(VAULT_SESSION_KEY);
+    if (!stored[VAULT_SESSION_KEY]) return null;
+    return crypto.subtle.importKey('raw', this.fromBase64(stored[VAULT_SESSION_KEY]), 'AES-GCM', true, ['encrypt', 'decrypt']);
+  }
+
+  createLockedError() {
+    const error = new Error('The API key vault is locked. Unlock it in the extension popup.');
+    error.category = 'vault_locked';
+    return error;
+  }
+
+  async requireSessionKey() {
+    const cryptoKey = await this.getSessionKey();
+    if (!cryptoKey) {
+      throw this.createLockedError();
+    }
+    return cryptoKey;
+  }
+
+  // Derive the key for a passphrase, failing when it does not open this vault
+  async openWithPassphrase(vault, passphrase) {
+    const cryptoKey = await this.deriveKey(passphrase, this.fromBase64(vault.salt), vault.iterations);
+    try {
+      await this.decrypt(cryptoKey, vault.check);
+    } catch (error) {
+      throw new Error('Wrong passphrase.');
+    }
+    return cryptoKey;
+  }
+
+  async startSession(cryptoKey) {
+    const raw = await crypto.subtle.exportKey('raw', cryptoKey);
+    await chrome.storage.session.set({ [VAULT_SESSION_KEY]: this.toBase64(raw) });
+  }
+
+  // Names, providers and active selections; never key material
+  async getStatus() {
+    const vault = await this.load();
+    if (!vault) {
+      return { enabled: false, unlocked: false, keys: [], activeKeys: {} };
+    }
+    return {
+      enabled: true,
+      unlocked: !!(await this.getSessionKey()),
+      keys: Object.keys(vault.keys).sort().map(name => ({
+        name: name,
+        provider: vault.keys[name].provider,
+        createdAt: vault.keys[name].createdAt,
+        active: vault.activeKeys[vault.keys[name].provider] === name
+      })),
+      activeKeys: vault.activeKeys
+    };
+  }
+
+  // Turn the vault on, encrypting initialKeys ([{ name, provider, apiKey }]),
+  // and leave it unlocked for this session
+  async create(passphrase, initialKeys = []) {
+    if (await this.isEnabled()) {
+      throw new Error('The API key vault is already enabled.');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const cryptoKey = await this.deriveKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+    const vault = {
+      version: 1,
+      salt: this.toBase64(salt),
+      iterations: VAULT_PBKDF2_ITERATIONS,
+      check: await this.encrypt(cryptoKey, VAULT_CHECK_TEXT),
+      keys: {},
+      activeKeys: {}
+    };
+
+    for (const { name, provider, apiKey } of initialKeys) {
+      vault.keys[name] = { provider: provider, createdAt: Date.now(), ...(await this.encrypt(cryptoKey, apiKey)) };
+      vault.activeKeys[provider] = name;
+    }
+
+    await this.save(vault);
+    await this.startSession(cryptoKey);
+  }
+
+  async unlock(passphrase) {
+    const vault = await this.load();
+    if (!vault) {
+      throw new Error('The API key vault is not enabled.');
+    }
+    await this.startSession(await this.openWithPassphrase(vault, passphrase));
+  }
+
+  async lock() {
+    await chrome.storage.session.remove(VAULT_SESSION_KEY);
+  }
+
+  // Re-encrypt every key under a new passphrase and salt
+  async rotate(currentPassphrase, newPassphrase) {
+    const vault = await this.load();
+    if (!vault) {
+      throw new Error('The API key vault is not enabled.');
+    }
+
+    const currentKey = await this.openWithPassphrase(vault, currentPassphrase);
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const newKey = await this.deriveKey(newPassphrase, salt, VAULT_PBKDF2_ITERATIONS);
+
+    const keys = {};
+    for (const [name, record] of Object.entries(vault.keys)) {
+      const apiKey = await this.decrypt(currentKey, record);
+      keys[name] = { provider: record.provider, createdAt: record.createdAt, ...(await this.encrypt(newKey, apiKey)) };
+    }
+
+    await this.save({
+      ...vault,
+      salt: this.toBase64(salt),
+      iterations: VAULT_PBKDF2_ITERATIONS,
+      check: await this.encrypt(newKey, VAULT_CHECK_TEXT),
+      keys: keys
+    });
+    await this.startSession(newKey);
+  }
+
+  // Remove the vault, resolving to the active key of each provider so the
+  // caller can store them unencrypted again
+  async disable(passphrase) {
+    const vault = await this.load();
+    if (!vault) {
+      throw new Error('The API key vault is not enabled.');
+    }
+
+    const cryptoKey = await this.openWithPassphrase(vault, passphrase);
+    const activeKeys = {};
+    for (const [provider, name] of Object.entries(vault.activeKeys)) {
+      if (vault.keys[name]) {
+        activeKeys[provider] = await this.decrypt(cryptoKey, vault.keys[name]);
+      }
+    }
+
+    await chrome.storage.local.remove(VAULT_STORAGE_KEY);
+    await this.lock();
+    return activeKeys;
+  }
+
+  // Add or replace a named key; by default it becomes the provider's active key
+  async setKey(name, provider, apiKey, { activate = true } = {}) {
+    const vault = await this.load();
+    if (!vault) {
+      throw new Error('The API key vault is not enabled.');
+    }
+
+    const cryptoKey = await this.requireSessionKey();
+    vault.keys[name] = { provider: provider, createdAt: Date.now(), ...(await this.encrypt(cryptoKey, apiKey)) };
+    if (activate) {
+      vault.activeKeys[provider] = name;
+    }
+    await this.save(vault);
+  }
+
+  async removeKey(name) {
+    const vault = await this.load();
+    if (!vault || !vault.keys[name]) {
+      throw new Error(`No key named "${name}".`);
+    }
+
+    const provider = vault.keys[name].provider;
+    delete vault.keys[name];
+    if (vault.activeKeys[provider] === name) {
+      delete vault.activeKeys[provider];
+    }
+    await this.save(vault);
+  }
+
+  async setActiveKey(provider, name) {
+    const vault = await this.load();
+    if (!vault || !vault.keys[name] || vault.keys[name].provider !== provider) {
+      throw new Error(`No ${provider} key named "${name}".`);
+    }
+    vault.activeKeys[provider] = name;
+    await this.save(vault);
+  }
+
+  // Decrypt the provider's active key; null when it has none. Throws while locked.
+  async getActiveKey(provider) {
+    const vault = await this.load();
+    const name = vault && vault.activeKeys[provider];
+    if (!name || !vault.keys[name]) return null;
+    return this.decrypt(await this.requireSessionKey(), vault.keys[name]);
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyVault;
+} else if (typeof window !== 'undefined') {
+  window.KeyVault = KeyVault;
+}
@@ -0,0 +1,173 @@
+// page-rpc.js - Authenticated request/response calls between content.js and inject.js (content script and page context)
+
+// Any script on web.whatsapp.com can dispatch DOM events, so calls travel over a
+// private MessageChannel instead. The server lives inside inject.js, which the
+// background runs with chrome.scripting; it creates a per-load secret that only
+// reaches the content script through the extension, and accepts only a channel
+// whose handshake is signed with it. Every request carries a one-shot HMAC token
+// over its method and params (so a getAudioData token is bound to its messageId),
+// and responses are signed too. inject.js keeps its own copy of the helpers below.
+const RPC_HANDSHAKE = 'whatsappGeminiTranscriber_rpcConnect';
+
+// Why a call failed, carried on PageRpcError.code
+const RPC_ERROR_CODES = {
+  TIMEOUT: 'timeout', // inject.js did not answer in time
+  CANCELLED: 'cancelled', // the caller aborted the call
+  UNKNOWN_METHOD: 'unknown_method', // inject.js has no handler for the method
+  REMOTE: 'remote' // the handler in inject.js threw
+};
+
+class PageRpcError extends Error {
+  constructor(message, code, method) {
+    super(message);
+    this.name = 'PageRpcError';
+    this.code = code;
+    this.method = method;
+    // Same flag the transcription stream sets, so callers handle both alike
+    this.cancelled = code === RPC_ERROR_CODES.CANCELLED;
+  }
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  return new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
+}
+
+function createRpcSecret() {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+function importRpcKey(secret) {
+  return crypto.subtle.importKey('raw', fromHex(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+async function signRpcPayload(key, text) {
+  return toHex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text)));
+}
+
+function verifyRpcPayload(key, text, mac) {
+  if (typeof text !== 'string' || typeof mac !== 'string') {
+    return Promise.resolve(false);
+  }
+  return crypto.subtle.verify('HMAC', key, fromHex(mac), new TextEncoder().encode(text));
+}
+
+// Content script side: every call gets an ID that its response must echo
+class PageRpcClient {
+  constructor({ defaultTimeoutMs = 3000 } = {}) {
+    this.defaultTimeoutMs = defaultTimeoutMs;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.keyPromise = null;
+    this.port = null;
+    this.connected = new Promise(resolve => {
+      this.resolveConnected = resolve;
+    });
+  }
+
+  // Offer inject.js the channel, signed with the secret its injection returned.
+  // Calls made earlier wait for this (and still time out if it never happens).
+  async connect(secret) {
+    this.keyPromise = importRpcKey(secret);
+    const key = await this.keyPromise;
+    const channel = new MessageChannel();
+    const nonce = createRpcSecret();
+
+    this.port = channel.port1;
+    this.port.onmessage = event => this.handleResponse(event.data);
+    window.postMessage({
+      type: RPC_HANDSHAKE,
+      nonce: nonce,
+      mac: await signRpcPayload(key, `${RPC_HANDSHAKE}:${nonce}`)
+    }, window.location.origin, [channel.port2]);
+    this.resolveConnected();
+  }
+
+  // Call a page method; rejects with a PageRpcError on timeout, cancellation
+  // through signal, or when the handler fails
+  call(method, params = {}, { timeoutMs = this.defaultTimeoutMs, signal } = {}) {
+    const id = `${this.nextId++}`;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new PageRpcError(`${method} was cancelled.`, RPC_ERROR_CODES.CANCELLED, method));
+        return;
+      }
+
+      const settle = (callback) => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        this.pending.delete(id);
+        callback();
+      };
+
+      // Tell the handler to stop; any late response is ignored
+      const abandon = (error) => {
+        if (this.port) this.port.postMessage({ type: 'cancel', id: id });
+        settle(() => reject(error));
+      };
+
+      const onAbort = () => {
+        abandon(new PageRpcError(`${method} was cancelled.`, RPC_ERROR_CODES.CANCELLED, method));
+      };
+
+      const timer = setTimeout(() => {
+        abandon(new PageRpcError('WhatsApp did not respond. Is a chat open?', RPC_ERROR_CODES.TIMEOUT, method));
+      }, timeoutMs);
+
+      if (signal) signal.addEventListener('abort', onAbort);
+      this.pending.set(id, {
+        method: method,
+        resolve: result => settle(() => resolve(result)),
+        reject: error => settle(() => reject(error))
+      });
+
+      this.sendRequest(id, method, params).catch(error => {
+        const pending = this.pending.get(id);
+        if (pending) pending.reject(error);
+      });
+    });
+  }
+
+  async sendRequest(id, method, params) {
+    await this.connected;
+    const request = JSON.stringify({ id: id, method: method, params: params, nonce: createRpcSecret(), issuedAt: Date.now() });
+    const mac = await signRpcPayload(await this.keyPromise, request);
+    if (this.pending.has(id)) {
+      this.port.postMessage({ type: 'request', request: request, mac: mac });
+    }
+  }
+
+  async handleResponse(data) {
+    if (!data || data.type !== 'response') return;
+    if (!(await verifyRpcPayload(await this.keyPromise, data.response, data.mac))) {
+      console.warn('[Content] Dropped an RPC response with an invalid signature');
+      return;
+    }
+
+    const response = JSON.parse(data.response);
+    const pending = this.pending.get(response.id);
+    if (!pending) return;
+
+    if (response.error) {
+      const error = new PageRpcError(response.error.message, response.error.code, pending.method);
+      // Handlers may tag errors with a category the chat has a hint for
+      if (response.error.category) error.category = response.error.category;
+      pending.reject(error);
+    } else {
+      pending.resolve(response.result);
+    }
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RPC_ERROR_CODES, PageRpcError, PageRpcClient };
+} else if (typeof window !== 'undefined') {
+  window.RPC_ERROR_CODES = RPC_ERROR_CODES;
+  window.PageRpcError = PageRpcError;
+  window.PageRpcClient = PageRpcClient;
+}
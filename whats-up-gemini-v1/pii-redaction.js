@@ -0,0 +1,179 @@
+// pii-redaction.js - Local masking of personal data in transcripts (service worker)
+
+// Luhn checksum, so only plausible card numbers are masked
+function passesLuhn(match) {
+  const digits = match.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check
+function isValidIban(match) {
+  const iban = match.replace(/\s/g, '');
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// 7 to 15 digits (E.164), and not a date
+function isPhoneNumber(match) {
+  const digits = match.replace(/\D/g, '');
+  return digits.length >= 7 && digits.length <= 15 && !/^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/.test(match);
+}
+
+// Built-in detectors, applied in this order so structured numbers are claimed
+// before the looser phone pattern sees them
+const PII_PATTERNS = {
+  email: { label: 'EMAIL', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  iban: { label: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, validate: isValidIban },
+  card: { label: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, validate: passesLuhn },
+  // US SSN, UK National Insurance number, Spanish DNI/NIE, Italian codice fiscale
+  nationalId: {
+    label: 'ID',
+    pattern: /\b(?:\d{3}-\d{2}-\d{4}|[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]|[XYZ]?\d{7,8}-?[A-Z]|[A-Z]{6}\d{2}[A-Z]\d{2}[A-Z]\d{3}[A-Z])\b/g
+  },
+  phone: { label: 'PHONE', pattern: /(?:\+|\()?\b\d[\d ().-]{5,}\d\b/g, validate: isPhoneNumber }
+};
+
+// Placeholders look like [PHONE-1]; the same value keeps its number within a result
+const PII_PLACEHOLDER_PATTERN = /\[[A-Z0-9_]+-\d+\]/g;
+
+// Text fields of a transcription result that can carry personal data
+const REDACTED_RESULT_FIELDS = ['transcription', 'summary', 'translation', 'confidenceNote'];
+
+// WhatsApp IDs such as 12345@c.us or 12345-678@g.us, which carry phone numbers
+const WHATSAPP_ID_PATTERN = /\d[\d-]*@(?:c\.us|g\.us|lid|s\.whatsapp\.net)/g;
+
+class PiiRedactor {
+  // types: keys of PII_PATTERNS to apply; customPatterns: [{ name, pattern }]
+  // with pattern a regular expression source, applied before the built-ins;
+  // idKey: HMAC CryptoKey for pseudonymizeIds
+  constructor({ types = Object.keys(PII_PATTERNS), customPatterns = [], idKey = null } = {}) {
+    this.idKey = idKey;
+    const custom = customPatterns.map(custom => {
+      try {
+        return { label: PiiRedactor.toLabel(custom.name), pattern: new RegExp(custom.pattern, 'g') };
+      } catch (error) {
+        console.warn('[Redaction] Skipping invalid custom pattern:', custom.name, error.message);
+        return null;
+      }
+    }).filter(Boolean);
+
+    this.detectors = [
+      ...custom,
+      ...Object.keys(PII_PATTERNS).filter(type => types.includes(type)).map(type => PII_PATTERNS[type])
+    ];
+  }
+
+  static toLabel(name) {
+    return String(name || 'CUSTOM').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '') || 'CUSTOM';
+  }
+
+  getPlaceholder(label, original, values) {
+    const prefix = `[${label}-`;
+    const existing = Object.keys(values).find(placeholder => placeholder.startsWith(prefix) && values[placeholder] === original);
+    if (existing) return existing;
+
+    const placeholder = `${prefix}${Object.keys(values).filter(key => key.startsWith(prefix)).length + 1}]`;
+    values[placeholder] = original;
+    return placeholder;
+  }
+
+  // Mask personal data in text. values maps each placeholder to the text it
+  // replaced and is filled in as matches are found.
+  redactText(text, values = {}) {
+    if (!text) return text;
+    return this.detectors.reduce((current, detector) => current.replace(detector.pattern, (match) => {
+      if (!match || /^\[[A-Z0-9_]+-\d+\]$/.test(match) || (detector.validate && !detector.validate(match))) {
+        return match;
+      }
+      return this.getPlaceholder(detector.label, match, values);
+    }), text);
+  }
+
+  // Redact every text field of a transcription result, returning the masked
+  // copy and the placeholder map used to reveal values on click. Placeholders
+  // already in the result (from an earlier pass) are reserved with a null value.
+  redactResult(result, values = {}) {
+    const texts = [
+      ...REDACTED_RESULT_FIELDS.map(field => result[field]),
+      ...(result.segments || []).map(segment => segment.text)
+    ].filter(text => typeof text === 'string');
+    texts.forEach(text => {
+      (text.match(PII_PLACEHOLDER_PATTERN) || []).forEach(placeholder => {
+        if (!(placeholder in values)) values[placeholder] = null;
+      });
+    });
+
+    const redacted = { ...result };
+    REDACTED_RESULT_FIELDS.forEach(field => {
+      if (typeof redacted[field] === 'string') {
+        redacted[field] = this.redactText(redacted[field], values);
+      }
+    });
+    if (Array.isArray(result.segments)) {
+      redacted.segments = result.segments.map(segment => ({ ...segment, text: this.redactText(segment.text, values) }));
+    }
+    return { result: redacted, values: values };
+  }
+
+  // Replace every WhatsApp ID in text with a keyed hash such as
+  // [PHONE-1a2b3c4d5e6f]@c.us. The same ID always gets the same pseudonym,
+  // so records stay grouped by chat while the number is hidden.
+  static async pseudonymizeIds(text, key) {
+    if (typeof text !== 'string' || !key) return text;
+    const pseudonyms = new Map();
+    for (const id of new Set(text.match(WHATSAPP_ID_PATTERN) || [])) {
+      const digest = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(id)));
+      const hash = Array.from(digest.slice(0, 6), byte => byte.toString(16).padStart(2, '0')).join('');
+      pseudonyms.set(id, `[PHONE-${hash}]@${id.split('@')[1]}`);
+    }
+    return text.replace(WHATSAPP_ID_PATTERN, id => pseudonyms.get(id));
+  }
+
+  redactIds(text) {
+    return PiiRedactor.pseudonymizeIds(text, this.idKey);
+  }
+
+  // Mask who a message context or history entry is from and to: names like
+  // transcript text, and every WhatsApp ID, the message IDs included, as pseudonyms
+  async redactParticipants(record) {
+    const redacted = {
+      ...record,
+      chatId: await this.redactIds(record.chatId),
+      chatName: this.redactText(record.chatName),
+      senderName: this.redactText(record.senderName)
+    };
+    if (record.messageId) {
+      redacted.messageId = await this.redactIds(record.messageId);
+    }
+    if (record.message) {
+      redacted.message = { ...record.message };
+      for (const field of ['id', 'from', 'to', 'author']) {
+        redacted.message[field] = await this.redactIds(record.message[field]);
+      }
+    }
+    return redacted;
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PiiRedactor, PII_PATTERNS };
+} else if (typeof window !== 'undefined') {
+  window.PiiRedactor = PiiRedactor;
+}
@@ -1,17 +1,120 @@
 // popup.js
 
+// Ready-made Gemini prompt templates; {{variables}} are filled in per message
+const PROMPT_PRESETS = {
+  transcript: "Please provide a transcript of this audio message.",
+  translate: "Please provide a transcript of this audio message, translated into {{targetLanguage}}.",
+  speaker: "This is a voice message from {{speakerName}} in the chat \"{{chatName}}\". Please provide a transcript, prefixing each line with the speaker's name."
+};
+
 document.addEventListener("DOMContentLoaded", () => {
   const apiKeyInput = document.getElementById("apiKeyInput");
   const saveApiKeyButton = document.getElementById("saveApiKeyButton");
   const statusMessage = document.getElementById("statusMessage");
   const toggleVisibility = document.getElementById("toggleVisibility");
+  const cacheStats = document.getElementById("cacheStats");
+  const clearCacheButton = document.getElementById("clearCacheButton");
+  const openHistoryButton = document.getElementById("openHistoryButton");
+  const usageBudgetStatus = document.getElementById("usageBudgetStatus");
+  const openUsageButton = document.getElementById("openUsageButton");
+  const exportScope = document.getElementById("exportScope");
+  const exportRange = document.getElementById("exportRange");
+  const exportFrom = document.getElementById("exportFrom");
+  const exportTo = document.getElementById("exportTo");
+  const exportFormat = document.getElementById("exportFormat");
+  const exportButton = document.getElementById("exportButton");
+  const autoTranscribeMode = document.getElementById("autoTranscribeMode");
+  const autoTranscribeScope = document.getElementById("autoTranscribeScope");
+  const autoTranscribeChatsHint = document.getElementById("autoTranscribeChatsHint");
+  const toggleCurrentChatButton = document.getElementById("toggleCurrentChatButton");
+  const autoTranscribeConcurrency = document.getElementById("autoTranscribeConcurrency");
+  const transcriptionRuleList = document.getElementById("transcriptionRuleList");
+  const ruleAction = document.getElementById("ruleAction");
+  const ruleMatch = document.getElementById("ruleMatch");
+  const ruleValue = document.getElementById("ruleValue");
+  const ruleValueChoice = document.getElementById("ruleValueChoice");
+  const ruleUseCurrentChatButton = document.getElementById("ruleUseCurrentChatButton");
+  const addRuleButton = document.getElementById("addRuleButton");
+  const transcriptionRulesDefault = document.getElementById("transcriptionRulesDefault");
+  const piiRedactionEnabled = document.getElementById("piiRedactionEnabled");
+  const piiTypeCheckboxes = document.querySelectorAll(".pii-type");
+  const piiCustomPatterns = document.getElementById("piiCustomPatterns");
+  const saveRedactionButton = document.getElementById("saveRedactionButton");
+  const transcribeChatButton = document.getElementById("transcribeChatButton");
+  const transcriptionProvider = document.getElementById("transcriptionProvider");
+  const providerSections = document.querySelectorAll(".provider-section");
+  const openaiApiKeyInput = document.getElementById("openaiApiKeyInput");
+  const openaiBaseUrlInput = document.getElementById("openaiBaseUrlInput");
+  const openaiModelInput = document.getElementById("openaiModelInput");
+  const saveOpenaiButton = document.getElementById("saveOpenaiButton");
+  const whisperBaseUrlInput = document.getElementById("whisperBaseUrlInput");
+  const whisperModelInput = document.getElementById("whisperModelInput");
+  const whisperApiKeyInput = document.getElementById("whisperApiKeyInput");
+  const saveWhisperButton = document.getElementById("saveWhisperButton");
+  const geminiModel = document.getElementById("geminiModel");
+  const promptPreset = document.getElementById("promptPreset");
+  const geminiPromptTemplate = document.getElementById("geminiPromptTemplate");
+  const geminiTargetLanguage = document.getElementById("geminiTargetLanguage");
+  const geminiTemperature = document.getElementById("geminiTemperature");
+  const geminiMaxOutputTokens = document.getElementById("geminiMaxOutputTokens");
+  const geminiStructuredOutput = document.getElementById("geminiStructuredOutput");
+  const geminiStreaming = document.getElementById("geminiStreaming");
+  const geminiInlineLimitMb = document.getElementById("geminiInlineLimitMb");
+  const geminiRequestsPerMinute = document.getElementById("geminiRequestsPerMinute");
+  const saveGeminiSettingsButton = document.getElementById("saveGeminiSettingsButton");
+  const translationEnabled = document.getElementById("translationEnabled");
+  const translationTargetLanguage = document.getElementById("translationTargetLanguage");
+  const chatTargetLanguage = document.getElementById("chatTargetLanguage");
+  const saveTranslationButton = document.getElementById("saveTranslationButton");
+  const replyDraftContextMessages = document.getElementById("replyDraftContextMessages");
+  const replyDraftSendDirectly = document.getElementById("replyDraftSendDirectly");
+  const saveReplyDraftsButton = document.getElementById("saveReplyDraftsButton");
+  const ttsProvider = document.getElementById("ttsProvider");
+  const geminiTtsModel = document.getElementById("geminiTtsModel");
+  const openaiTtsModel = document.getElementById("openaiTtsModel");
+  const saveTtsButton = document.getElementById("saveTtsButton");
+  const selectorHealth = document.getElementById("selectorHealth");
+  const runDiagnosticsButton = document.getElementById("runDiagnosticsButton");
+  const storeCapabilitiesHeading = document.getElementById("storeCapabilitiesHeading");
+  const storeCapabilitiesList = document.getElementById("storeCapabilities");
+  const keyVaultState = document.getElementById("keyVaultState");
+  const keyVaultSetup = document.getElementById("keyVaultSetup");
+  const keyVaultLocked = document.getElementById("keyVaultLocked");
+  const keyVaultUnlocked = document.getElementById("keyVaultUnlocked");
+  const vaultNewPassphrase = document.getElementById("vaultNewPassphrase");
+  const vaultConfirmPassphrase = document.getElementById("vaultConfirmPassphrase");
+  const enableVaultButton = document.getElementById("enableVaultButton");
+  const vaultUnlockPassphrase = document.getElementById("vaultUnlockPassphrase");
+  const unlockVaultButton = document.getElementById("unlockVaultButton");
+  const vaultKeyList = document.getElementById("vaultKeyList");
+  const vaultKeyName = document.getElementById("vaultKeyName");
+  const vaultKeyProvider = document.getElementById("vaultKeyProvider");
+  const vaultKeyValue = document.getElementById("vaultKeyValue");
+  const addVaultKeyButton = document.getElementById("addVaultKeyButton");
+  const vaultCurrentPassphrase = document.getElementById("vaultCurrentPassphrase");
+  const vaultRotatedPassphrase = document.getElementById("vaultRotatedPassphrase");
+  const rotateVaultButton = document.getElementById("rotateVaultButton");
+  const disableVaultButton = document.getElementById("disableVaultButton");
+  const lockVaultButton = document.getElementById("lockVaultButton");
+  let settings = {};
+  let activeChat = null;
+  let whatsAppTabId = null;
 
-  // Load saved API key
-  chrome.runtime.sendMessage({ action: "getApiKey" }, (response) => {
-    if (response && response.apiKey) {
-      apiKeyInput.value = response.apiKey;
-    }
-  });
+  // Load saved API keys; keys kept in the vault are never sent back, so the
+  // field only says whether one is stored
+  function loadApiKey(provider, input) {
+    chrome.runtime.sendMessage({ action: "getApiKey", provider: provider }, (response) => {
+      if (!response) return;
+      input.value = response.apiKey || "";
+      if (response.inVault) {
+        input.placeholder = response.stored ? "Stored in the key vault" : "Not set; saved keys go into the vault";
+      }
+    });
+  }
+
+  loadApiKey("gemini", apiKeyInput);
+  loadApiKey("openai", openaiApiKeyInput);
+  loadApiKey("whisper", whisperApiKeyInput);
 
   // Toggle password visibility
   toggleVisibility.addEventListener("click", () => {
@@ -52,13 +155,14 @@ document.addEventListener("DOMContentLoaded", () => {
 
       if (response && response.status) {
         showStatusMessage("API Key saved successfully!", "success");
+        loadKeyVaultStatus();
         
         // Auto-hide success message after 3 seconds
         setTimeout(() => {
           hideStatusMessage();
         }, 3000);
       } else {
-        showStatusMessage("Failed to save API Key. Please try again.", "error");
+        showStatusMessage((response && response.error) || "Failed to save API Key. Please try again.", "error");
       }
     });
   });
@@ -70,6 +174,809 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
+  // Load settings and reflect them in the form
+  chrome.runtime.sendMessage({ action: "getSettings" }, (response) => {
+    if (!response || !response.settings) return;
+    settings = response.settings;
+    transcriptionProvider.value = settings.transcriptionProvider;
+    openaiBaseUrlInput.value = settings.openaiBaseUrl;
+    openaiModelInput.value = settings.openaiModel;
+    whisperBaseUrlInput.value = settings.whisperBaseUrl;
+    whisperModelInput.value = settings.whisperModel;
+    showProviderSection(settings.transcriptionProvider);
+    geminiModel.value = settings.geminiModel;
+    geminiPromptTemplate.value = settings.geminiPromptTemplate;
+    promptPreset.value = Object.keys(PROMPT_PRESETS).find(name => PROMPT_PRESETS[name] === settings.geminiPromptTemplate) || "";
+    geminiTargetLanguage.value = settings.geminiTargetLanguage;
+    geminiTemperature.value = settings.geminiTemperature;
+    geminiMaxOutputTokens.value = settings.geminiMaxOutputTokens;
+    geminiStructuredOutput.checked = settings.geminiStructuredOutput;
+    geminiStreaming.checked = settings.geminiStreaming;
+    geminiInlineLimitMb.value = settings.geminiInlineLimitMb;
+    geminiRequestsPerMinute.value = settings.geminiRequestsPerMinute;
+    translationEnabled.checked = settings.translationEnabled;
+    translationTargetLanguage.value = settings.translationTargetLanguage;
+    replyDraftContextMessages.value = settings.replyDraftContextMessages;
+    replyDraftSendDirectly.checked = settings.replyDraftSendDirectly;
+    ttsProvider.value = settings.ttsProvider;
+    geminiTtsModel.value = settings.geminiTtsModel;
+    openaiTtsModel.value = settings.openaiTtsModel;
+    autoTranscribeMode.value = settings.autoTranscribeMode;
+    autoTranscribeScope.value = settings.autoTranscribeScope;
+    autoTranscribeConcurrency.value = settings.autoTranscribeConcurrency;
+    transcriptionRulesDefault.value = settings.transcriptionRulesDefault;
+    piiRedactionEnabled.checked = settings.piiRedactionEnabled;
+    piiTypeCheckboxes.forEach((checkbox) => {
+      checkbox.checked = settings.piiRedactionTypes.includes(checkbox.value);
+    });
+    piiCustomPatterns.value = settings.piiCustomPatterns.map(custom => `${custom.name}: ${custom.pattern}`).join("\n");
+    renderAutoTranscribeChats();
+    renderTranscriptionRules();
+  });
+
+  // Ask the WhatsApp tab which chat is open
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tab = tabs && tabs[0];
+    if (!tab || !tab.url || !tab.url.includes("whatsapp.com")) {
+      renderAutoTranscribeChats();
+      return;
+    }
+    whatsAppTabId = tab.id;
+    chrome.tabs.sendMessage(tab.id, { action: "getActiveChat" }, (response) => {
+      if (chrome.runtime.lastError) return;
+      activeChat = response && response.chat ? response.chat : null;
+      renderAutoTranscribeChats();
+    });
+  });
+
+  function saveSettings(changes) {
+    settings = { ...settings, ...changes };
+    chrome.runtime.sendMessage({ action: "saveSettings", settings: changes }, (response) => {
+      if (!response || !response.status) {
+        showStatusMessage("Failed to save settings. Please try again.", "error");
+      }
+    });
+  }
+
+  function renderAutoTranscribeChats() {
+    const chats = settings.autoTranscribeChats || [];
+    const isSelected = activeChat && chats.includes(activeChat.id);
+
+    autoTranscribeChatsHint.textContent = `${chats.length} chat(s) selected for auto-transcription.`;
+    toggleCurrentChatButton.disabled = !activeChat;
+    transcribeChatButton.disabled = !activeChat;
+    chatTargetLanguage.disabled = !activeChat;
+    ruleUseCurrentChatButton.disabled = !activeChat || ruleMatch.value !== "chat";
+    chatTargetLanguage.value = activeChat ? ((settings.translationChatLanguages || {})[activeChat.id] || "") : "";
+    if (!activeChat) {
+      toggleCurrentChatButton.textContent = "Open a WhatsApp chat to select it";
+    } else {
+      toggleCurrentChatButton.textContent = isSelected
+        ? `Remove "${activeChat.name}"`
+        : `Select "${activeChat.name}"`;
+    }
+  }
+
+  // Only show the settings of the selected provider
+  function showProviderSection(provider) {
+    providerSections.forEach((section) => {
+      section.hidden = section.dataset.provider !== provider;
+    });
+  }
+
+  transcriptionProvider.addEventListener("change", () => {
+    showProviderSection(transcriptionProvider.value);
+    saveSettings({ transcriptionProvider: transcriptionProvider.value });
+  });
+
+  // Fill the prompt editor from a preset; editing the text switches back to "Custom"
+  promptPreset.addEventListener("change", () => {
+    if (PROMPT_PRESETS[promptPreset.value]) {
+      geminiPromptTemplate.value = PROMPT_PRESETS[promptPreset.value];
+    }
+  });
+
+  geminiPromptTemplate.addEventListener("input", () => {
+    promptPreset.value = "";
+  });
+
+  saveGeminiSettingsButton.addEventListener("click", () => {
+    const template = geminiPromptTemplate.value.trim();
+    const temperature = parseFloat(geminiTemperature.value);
+    const maxOutputTokens = parseInt(geminiMaxOutputTokens.value, 10);
+    const inlineLimitMb = parseInt(geminiInlineLimitMb.value, 10);
+    const requestsPerMinute = parseInt(geminiRequestsPerMinute.value, 10);
+
+    if (!template) {
+      showStatusMessage("Please enter a prompt template.", "error");
+      return;
+    }
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      showStatusMessage("Temperature must be between 0 and 2.", "error");
+      return;
+    }
+    if (!Number.isFinite(maxOutputTokens) || maxOutputTokens < 1) {
+      showStatusMessage("Max output tokens must be a positive number.", "error");
+      return;
+    }
+    // Inline requests are capped at 20 MB in total, prompt included, and base64
+    // makes 14 MB of audio about 18.7 MB
+    if (!Number.isFinite(inlineLimitMb) || inlineLimitMb < 1 || inlineLimitMb > 14) {
+      showStatusMessage("Upload threshold must be between 1 and 14 MB.", "error");
+      return;
+    }
+    if (!Number.isFinite(requestsPerMinute) || requestsPerMinute < 0 || requestsPerMinute > 1000) {
+      showStatusMessage("Requests per minute must be between 0 and 1000.", "error");
+      return;
+    }
+
+    saveSettings({
+      geminiModel: geminiModel.value,
+      geminiPromptTemplate: template,
+      geminiTargetLanguage: geminiTargetLanguage.value.trim(),
+      geminiTemperature: temperature,
+      geminiMaxOutputTokens: maxOutputTokens,
+      geminiStructuredOutput: geminiStructuredOutput.checked,
+      geminiStreaming: geminiStreaming.checked,
+      geminiInlineLimitMb: inlineLimitMb,
+      geminiRequestsPerMinute: requestsPerMinute
+    });
+    showStatusMessage("Gemini settings saved successfully!", "success");
+    setTimeout(() => {
+      hideStatusMessage();
+    }, 3000);
+  });
+
+  // Validate a base URL and ask for permission to reach its origin
+  async function requestEndpointAccess(baseUrl) {
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch (error) {
+      throw new Error("Please enter a valid URL.");
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      throw new Error("Only http:// and https:// URLs are supported.");
+    }
+
+    const granted = await chrome.permissions.request({ origins: [`${url.origin}/*`] });
+    if (!granted) {
+      throw new Error(`Permission to reach ${url.origin} was denied.`);
+    }
+  }
+
+  // Save an endpoint-based provider: URL permission, settings, then credential
+  async function saveEndpointProvider(button, provider, baseUrl, providerSettings, apiKey) {
+    const label = button.textContent;
+    button.disabled = true;
+    button.classList.add("loading");
+    button.textContent = "Saving...";
+
+    try {
+      await requestEndpointAccess(baseUrl);
+      saveSettings(providerSettings);
+      const response = await chrome.runtime.sendMessage({ action: "saveApiKey", provider: provider, apiKey: apiKey });
+      if (!response || !response.status) {
+        throw new Error((response && response.error) || "Failed to save API Key. Please try again.");
+      }
+      showStatusMessage("Provider settings saved successfully!", "success");
+      setTimeout(() => {
+        hideStatusMessage();
+      }, 3000);
+    } catch (error) {
+      showStatusMessage(error.message, "error");
+    } finally {
+      button.disabled = false;
+      button.classList.remove("loading");
+      button.textContent = label;
+    }
+  }
+
+  saveOpenaiButton.addEventListener("click", () => {
+    const baseUrl = openaiBaseUrlInput.value.trim();
+    const apiKey = openaiApiKeyInput.value.trim();
+    if (!apiKey) {
+      showStatusMessage("Please enter an API Key.", "error");
+      return;
+    }
+    saveEndpointProvider(saveOpenaiButton, "openai", baseUrl, {
+      openaiBaseUrl: baseUrl,
+      openaiModel: openaiModelInput.value.trim() || "whisper-1"
+    }, apiKey);
+  });
+
+  saveWhisperButton.addEventListener("click", () => {
+    const baseUrl = whisperBaseUrlInput.value.trim();
+    saveEndpointProvider(saveWhisperButton, "whisper", baseUrl, {
+      whisperBaseUrl: baseUrl,
+      whisperModel: whisperModelInput.value.trim()
+    }, whisperApiKeyInput.value.trim());
+  });
+
+  autoTranscribeMode.addEventListener("change", () => {
+    saveSettings({ autoTranscribeMode: autoTranscribeMode.value });
+  });
+
+  autoTranscribeScope.addEventListener("change", () => {
+    saveSettings({ autoTranscribeScope: autoTranscribeScope.value });
+  });
+
+  autoTranscribeConcurrency.addEventListener("change", () => {
+    const concurrency = Math.min(5, Math.max(1, parseInt(autoTranscribeConcurrency.value, 10) || 1));
+    autoTranscribeConcurrency.value = concurrency;
+    saveSettings({ autoTranscribeConcurrency: concurrency });
+  });
+
+  toggleCurrentChatButton.addEventListener("click", () => {
+    if (!activeChat) return;
+    const chats = settings.autoTranscribeChats || [];
+    const updatedChats = chats.includes(activeChat.id)
+      ? chats.filter(chatId => chatId !== activeChat.id)
+      : [...chats, activeChat.id];
+    saveSettings({ autoTranscribeChats: updatedChats });
+    renderAutoTranscribeChats();
+  });
+
+  // Transcription rules: an ordered list where the first match wins
+  const RULE_VALUE_CHOICES = {
+    chatType: [["group", "Group chats"], ["direct", "Direct chats"]],
+    contact: [["saved", "Saved contacts"], ["unsaved", "Unsaved contacts"]]
+  };
+  const RULE_VALUE_PLACEHOLDERS = {
+    chat: "Chat ID, e.g. 12345@c.us",
+    label: "Label name, e.g. Medical"
+  };
+  let ruleChatName = null; // Display name when the chat rule came from the open chat
+
+  function renderTranscriptionRules() {
+    const rules = settings.transcriptionRules || [];
+    transcriptionRuleList.textContent = "";
+
+    rules.forEach((rule, index) => {
+      const row = document.createElement("li");
+      const description = document.createElement("span");
+      description.className = "rule-description";
+      description.textContent = TranscriptionRules.describe(rule);
+      row.appendChild(description);
+
+      if (index > 0) {
+        const upButton = document.createElement("button");
+        upButton.textContent = "Up";
+        upButton.title = "Check this rule earlier";
+        upButton.addEventListener("click", () => {
+          const updatedRules = rules.slice();
+          [updatedRules[index - 1], updatedRules[index]] = [updatedRules[index], updatedRules[index - 1]];
+          saveSettings({ transcriptionRules: updatedRules });
+          renderTranscriptionRules();
+        });
+        row.appendChild(upButton);
+      }
+
+      const removeButton = document.createElement("button");
+      removeButton.textContent = "Delete";
+      removeButton.addEventListener("click", () => {
+        saveSettings({ transcriptionRules: rules.filter((candidate, candidateIndex) => candidateIndex !== index) });
+        renderTranscriptionRules();
+      });
+      row.appendChild(removeButton);
+      transcriptionRuleList.appendChild(row);
+    });
+
+    if (rules.length === 0) {
+      const row = document.createElement("li");
+      row.textContent = "No rules: every chat can be transcribed.";
+      transcriptionRuleList.appendChild(row);
+    }
+  }
+
+  // Chat types and contact status are picked from a list, chats and labels typed in
+  function showRuleValueInput() {
+    const choices = RULE_VALUE_CHOICES[ruleMatch.value];
+    ruleValue.hidden = !!choices;
+    ruleValueChoice.hidden = !choices;
+    ruleUseCurrentChatButton.disabled = !activeChat || ruleMatch.value !== "chat";
+
+    if (choices) {
+      ruleValueChoice.textContent = "";
+      choices.forEach(([value, label]) => ruleValueChoice.add(new Option(label, value)));
+    } else {
+      ruleValue.placeholder = RULE_VALUE_PLACEHOLDERS[ruleMatch.value];
+    }
+  }
+
+  ruleMatch.addEventListener("change", showRuleValueInput);
+
+  ruleValue.addEventListener("input", () => {
+    ruleChatName = null;
+  });
+
+  ruleUseCurrentChatButton.addEventListener("click", () => {
+    if (!activeChat) return;
+    ruleValue.value = activeChat.id;
+    ruleChatName = activeChat.name;
+  });
+
+  addRuleButton.addEventListener("click", () => {
+    const value = ruleValueChoice.hidden ? ruleValue.value.trim() : ruleValueChoice.value;
+    if (!value) {
+      showStatusMessage("Please enter what the rule should match.", "error");
+      return;
+    }
+
+    const rule = { action: ruleAction.value, match: ruleMatch.value, value: value };
+    if (rule.match === "chat" && ruleChatName) {
+      rule.name = ruleChatName;
+    }
+    saveSettings({ transcriptionRules: [...(settings.transcriptionRules || []), rule] });
+    renderTranscriptionRules();
+    ruleValue.value = "";
+    ruleChatName = null;
+    showStatusMessage("Transcription rule saved successfully!", "success");
+    setTimeout(() => {
+      hideStatusMessage();
+    }, 3000);
+  });
+
+  transcriptionRulesDefault.addEventListener("change", () => {
+    saveSettings({ transcriptionRulesDefault: transcriptionRulesDefault.value });
+  });
+
+  showRuleValueInput();
+
+  // Custom patterns are written one per line as "Name: regular expression"
+  saveRedactionButton.addEventListener("click", () => {
+    const customPatterns = [];
+    const lines = piiCustomPatterns.value.split("\n").map(line => line.trim()).filter(Boolean);
+    for (const line of lines) {
+      const separator = line.indexOf(":");
+      const name = separator > 0 ? line.slice(0, separator).trim() : "";
+      const pattern = separator > 0 ? line.slice(separator + 1).trim() : "";
+      if (!name || !pattern) {
+        showStatusMessage(`Write custom patterns as "Name: regular expression" (line "${line}").`, "error");
+        return;
+      }
+      try {
+        new RegExp(pattern, "g");
+      } catch (error) {
+        showStatusMessage(`Invalid pattern for "${name}": ${error.message}`, "error");
+        return;
+      }
+      customPatterns.push({ name: name, pattern: pattern });
+    }
+
+    saveSettings({
+      piiRedactionEnabled: piiRedactionEnabled.checked,
+      piiRedactionTypes: Array.from(piiTypeCheckboxes).filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+      piiCustomPatterns: customPatterns
+    });
+    showStatusMessage("Redaction settings saved successfully!", "success");
+    setTimeout(() => {
+      hideStatusMessage();
+    }, 3000);
+  });
+
+  // Save the global target language and the override for the open chat
+  saveTranslationButton.addEventListener("click", () => {
+    const changes = {
+      translationEnabled: translationEnabled.checked,
+      translationTargetLanguage: translationTargetLanguage.value.trim() || "English"
+    };
+
+    if (activeChat) {
+      const chatLanguages = { ...(settings.translationChatLanguages || {}) };
+      const language = chatTargetLanguage.value.trim();
+      if (language) {
+        chatLanguages[activeChat.id] = language;
+      } else {
+        delete chatLanguages[activeChat.id];
+      }
+      changes.translationChatLanguages = chatLanguages;
+    }
+
+    saveSettings(changes);
+    showStatusMessage("Translation settings saved successfully!", "success");
+    setTimeout(() => {
+      hideStatusMessage();
+    }, 3000);
+  });
+
+  saveReplyDraftsButton.addEventListener("click", () => {
+    const contextMessages = parseInt(replyDraftContextMessages.value, 10);
+    if (!Number.isFinite(contextMessages) || contextMessages < 0 || contextMessages > 50) {
+      showStatusMessage("Context messages must be between 0 and 50.", "error");
+      return;
+    }
+
+    saveSettings({
+      replyDraftContextMessages: contextMessages,
+      replyDraftSendDirectly: replyDraftSendDirectly.checked
+    });
+    showStatusMessage("Reply settings saved successfully!", "success");
+    setTimeout(() => {
+      hideStatusMessage();
+    }, 3000);
+  });
+
+  saveTtsButton.addEventListener("click", () => {
+    if (!geminiTtsModel.value.trim() || !openaiTtsModel.value.trim()) {
+      showStatusMessage("Please enter both speech models.", "error");
+      return;
+    }
+
+    saveSettings({
+      ttsProvider: ttsProvider.value,
+      geminiTtsModel: geminiTtsModel.value.trim(),
+      openaiTtsModel: openaiTtsModel.value.trim()
+    });
+    showStatusMessage("Voice reply settings saved successfully!", "success");
+    setTimeout(() => {
+      hideStatusMessage();
+    }, 3000);
+  });
+
+  // Start a batch transcription of the open chat; progress is shown in WhatsApp
+  transcribeChatButton.addEventListener("click", () => {
+    if (!whatsAppTabId) return;
+    transcribeChatButton.disabled = true;
+    transcribeChatButton.classList.add("loading");
+
+    chrome.tabs.sendMessage(whatsAppTabId, { action: "transcribeAllInChat" }, (response) => {
+      transcribeChatButton.disabled = false;
+      transcribeChatButton.classList.remove("loading");
+
+      if (chrome.runtime.lastError || !response) {
+        showStatusMessage("Could not reach WhatsApp Web. Try reloading the tab.", "error");
+      } else if (response.error) {
+        showStatusMessage(response.error, "error");
+      } else {
+        showStatusMessage(`Transcribing ${response.total} voice message(s)...`, "success");
+      }
+    });
+  });
+
+  // Export stored transcripts for the current chat, a date range or everything
+  exportScope.addEventListener("change", () => {
+    exportRange.hidden = exportScope.value !== "range";
+  });
+
+  exportButton.addEventListener("click", () => {
+    const scope = {};
+    if (exportScope.value === "chat") {
+      if (!activeChat) {
+        showStatusMessage("Open a chat in WhatsApp Web to export it.", "error");
+        return;
+      }
+      scope.chatId = activeChat.id;
+    } else if (exportScope.value === "range") {
+      if (!exportFrom.value && !exportTo.value) {
+        showStatusMessage("Please pick a start or end date.", "error");
+        return;
+      }
+      scope.from = exportFrom.value ? new Date(`${exportFrom.value}T00:00:00`).getTime() : null;
+      scope.to = exportTo.value ? new Date(`${exportTo.value}T23:59:59.999`).getTime() : null;
+    }
+
+    exportButton.disabled = true;
+    chrome.runtime.sendMessage({ action: "exportTranscripts", scope: scope, format: exportFormat.value }, (response) => {
+      exportButton.disabled = false;
+
+      if (!response || response.error) {
+        showStatusMessage(response ? response.error : "Export failed. Please try again.", "error");
+        return;
+      }
+
+      const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = response.filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showStatusMessage(`Exported ${response.filename}`, "success");
+      setTimeout(() => {
+        hideStatusMessage();
+      }, 3000);
+    });
+  });
+
+  // One diagnostics row: a label and a pass/fail value
+  function addDiagnosticsRow(list, label, value, ok) {
+    const row = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = label;
+    const result = document.createElement("span");
+    result.textContent = value;
+    result.className = ok ? "ok" : "failed";
+    row.appendChild(name);
+    row.appendChild(result);
+    list.appendChild(row);
+  }
+
+  // Ask the WhatsApp tab which selector strategies currently match
+  runDiagnosticsButton.addEventListener("click", () => {
+    selectorHealth.textContent = "";
+    storeCapabilitiesList.textContent = "";
+    storeCapabilitiesHeading.hidden = true;
+    if (!whatsAppTabId) {
+      showStatusMessage("Open WhatsApp Web in this tab to run the health check.", "error");
+      return;
+    }
+
+    chrome.tabs.sendMessage(whatsAppTabId, { action: "getSelectorHealth" }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.health) {
+        showStatusMessage("Could not reach WhatsApp Web. Try reloading the tab.", "error");
+        return;
+      }
+
+      const health = response.health;
+      health.strategies.forEach((strategy) => {
+        const value = strategy.checked !== undefined
+          ? `${strategy.matches} of ${strategy.checked} rows`
+          : `${strategy.matches} match(es)`;
+        addDiagnosticsRow(selectorHealth, strategy.name, value, strategy.matches > 0);
+        selectorHealth.lastChild.title = strategy.description;
+      });
+      addDiagnosticsRow(selectorHealth, "Message rows (data-id)", String(health.messageRows), health.messageRows > 0);
+      addDiagnosticsRow(selectorHealth, "Chat header", health.chatHeader ? "found" : "missing", health.chatHeader);
+      addDiagnosticsRow(selectorHealth, "Message box", health.composer ? "found" : "missing", health.composer);
+      addDiagnosticsRow(selectorHealth, "Selector version", String(health.version), true);
+    });
+
+    chrome.tabs.sendMessage(whatsAppTabId, { action: "getStoreCapabilities" }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.report) {
+        return;
+      }
+      renderStoreCapabilities(response.report);
+    });
+  });
+
+  // Which features the WhatsApp build supports, and the Store modules behind them
+  function renderStoreCapabilities(report) {
+    storeCapabilitiesHeading.hidden = false;
+    addDiagnosticsRow(storeCapabilitiesList, "Store exposed", report.storeExposed ? "yes" : "no", report.storeExposed);
+    addDiagnosticsRow(storeCapabilitiesList, "Media download", report.downloadVariant || "missing", !!report.downloadVariant);
+
+    report.features.forEach((feature) => {
+      addDiagnosticsRow(storeCapabilitiesList, feature.label, feature.available ? "available" : "unavailable", feature.available);
+      if (!feature.available) {
+        storeCapabilitiesList.lastChild.title = `Missing ${feature.missing.join(", ")}`;
+      }
+    });
+
+    const missingModules = report.modules.filter(module => !module.available).map(module => module.name);
+    addDiagnosticsRow(
+      storeCapabilitiesList,
+      "Store modules",
+      `${report.modules.length - missingModules.length} of ${report.modules.length} found`,
+      missingModules.length === 0
+    );
+    if (missingModules.length > 0) {
+      storeCapabilitiesList.lastChild.title = `Missing ${missingModules.join(", ")}`;
+    }
+    if (report.loadErrors.length > 0) {
+      addDiagnosticsRow(storeCapabilitiesList, "Failed module lookups", report.loadErrors.join(", "), false);
+    }
+  }
+
+  // Show how many transcriptions are cached
+  function loadCacheStats() {
+    chrome.runtime.sendMessage({ action: "getCacheStats" }, (response) => {
+      if (!response || response.error) {
+        cacheStats.textContent = "Cache statistics unavailable.";
+        return;
+      }
+      const sizeKb = (response.bytes / 1024).toFixed(1);
+      cacheStats.textContent = `${response.entries} cached transcription(s), ${sizeKb} KB`;
+    });
+  }
+
+  // Open the history page in a new tab
+  openHistoryButton.addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
+  });
+
+  // Show this month's estimated spend when a budget alert is active
+  chrome.storage.local.get("usageBudgetState").then(({ usageBudgetState: state }) => {
+    const now = new Date();
+    const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+    if (!state || state.month !== month || state.level === "ok") return;
+    usageBudgetStatus.textContent = state.level === "exceeded"
+      ? `Monthly budget reached ($${state.spent.toFixed(2)} of $${state.budget.toFixed(2)}). Auto-transcription is paused.`
+      : `$${state.spent.toFixed(2)} of your $${state.budget.toFixed(2)} monthly budget used.`;
+  });
+
+  // Open the usage dashboard in a new tab
+  openUsageButton.addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("usage.html") });
+  });
+
+  loadCacheStats();
+
+  // Clear cached transcriptions
+  clearCacheButton.addEventListener("click", () => {
+    clearCacheButton.disabled = true;
+
+    chrome.runtime.sendMessage({ action: "clearTranscriptionCache" }, (response) => {
+      clearCacheButton.disabled = false;
+
+      if (response && response.status) {
+        showStatusMessage("Transcription cache cleared.", "success");
+        setTimeout(() => {
+          hideStatusMessage();
+        }, 3000);
+      } else {
+        showStatusMessage("Failed to clear cache. Please try again.", "error");
+      }
+      loadCacheStats();
+    });
+  });
+
+  // Key vault: set up, unlock, or manage named keys and the passphrase
+  const PROVIDER_LABELS = { gemini: "Gemini", openai: "OpenAI-compatible", whisper: "Whisper server" };
+
+  function renderKeyVault(status) {
+    keyVaultSetup.hidden = status.enabled;
+    keyVaultLocked.hidden = !status.enabled || status.unlocked;
+    keyVaultUnlocked.hidden = !status.enabled || !status.unlocked;
+
+    if (!status.enabled) {
+      keyVaultState.textContent = "Off: API keys are stored unencrypted in Chrome sync storage.";
+    } else if (!status.unlocked) {
+      keyVaultState.textContent = "Locked. Unlock it to transcribe with your stored keys.";
+    } else {
+      keyVaultState.textContent = `Unlocked for this browser session. ${status.keys.length} key(s) stored.`;
+    }
+
+    vaultKeyList.textContent = "";
+    status.keys.forEach((key) => {
+      const row = document.createElement("li");
+      const name = document.createElement("span");
+      name.className = "vault-key-name";
+      name.textContent = `${key.name} (${PROVIDER_LABELS[key.provider] || key.provider})`;
+      row.appendChild(name);
+
+      if (key.active) {
+        const active = document.createElement("span");
+        active.className = "vault-key-active";
+        active.textContent = "Active";
+        row.appendChild(active);
+      } else {
+        const useButton = document.createElement("button");
+        useButton.textContent = "Use";
+        useButton.addEventListener("click", () => {
+          keyVaultRequest({ action: "setActiveVaultKey", provider: key.provider, name: key.name }, `Now using "${key.name}".`);
+        });
+        row.appendChild(useButton);
+      }
+
+      const removeButton = document.createElement("button");
+      removeButton.textContent = "Delete";
+      removeButton.addEventListener("click", () => {
+        if (confirm(`Delete the key "${key.name}" from the vault?`)) {
+          keyVaultRequest({ action: "removeVaultKey", name: key.name }, `Deleted "${key.name}".`);
+        }
+      });
+      row.appendChild(removeButton);
+      vaultKeyList.appendChild(row);
+    });
+  }
+
+  function loadKeyVaultStatus() {
+    chrome.runtime.sendMessage({ action: "getKeyVaultStatus" }, (response) => {
+      if (response && response.status) {
+        renderKeyVault(response.status);
+      }
+    });
+  }
+
+  // Send a vault action, re-render from the returned status and report the outcome
+  async function keyVaultRequest(message, successMessage) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || response.error) {
+      showStatusMessage((response && response.error) || "Key vault request failed.", "error");
+      return false;
+    }
+    renderKeyVault(response.status);
+    showStatusMessage(successMessage, "success");
+    setTimeout(() => {
+      hideStatusMessage();
+    }, 3000);
+    return true;
+  }
+
+  enableVaultButton.addEventListener("click", async () => {
+    const passphrase = vaultNewPassphrase.value;
+    if (passphrase.length < 8) {
+      showStatusMessage("The passphrase must be at least 8 characters long.", "error");
+      return;
+    }
+    if (passphrase !== vaultConfirmPassphrase.value) {
+      showStatusMessage("The passphrases do not match.", "error");
+      return;
+    }
+
+    enableVaultButton.disabled = true;
+    if (await keyVaultRequest({ action: "createKeyVault", passphrase: passphrase }, "Key vault enabled. Your saved keys are now encrypted.")) {
+      vaultNewPassphrase.value = "";
+      vaultConfirmPassphrase.value = "";
+      loadApiKey("gemini", apiKeyInput);
+      loadApiKey("openai", openaiApiKeyInput);
+      loadApiKey("whisper", whisperApiKeyInput);
+    }
+    enableVaultButton.disabled = false;
+  });
+
+  unlockVaultButton.addEventListener("click", async () => {
+    unlockVaultButton.disabled = true;
+    if (await keyVaultRequest({ action: "unlockKeyVault", passphrase: vaultUnlockPassphrase.value }, "Key vault unlocked.")) {
+      vaultUnlockPassphrase.value = "";
+    }
+    unlockVaultButton.disabled = false;
+  });
+
+  vaultUnlockPassphrase.addEventListener("keypress", (event) => {
+    if (event.key === "Enter") {
+      unlockVaultButton.click();
+    }
+  });
+
+  addVaultKeyButton.addEventListener("click", async () => {
+    const name = vaultKeyName.value.trim();
+    const apiKey = vaultKeyValue.value.trim();
+    if (!name || !apiKey) {
+      showStatusMessage("Please enter a name and an API key.", "error");
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: "saveApiKey", provider: vaultKeyProvider.value, name: name, apiKey: apiKey });
+    if (!response || !response.status) {
+      showStatusMessage((response && response.error) || "Failed to save API Key. Please try again.", "error");
+      return;
+    }
+    vaultKeyName.value = "";
+    vaultKeyValue.value = "";
+    loadKeyVaultStatus();
+    loadApiKey(vaultKeyProvider.value, { gemini: apiKeyInput, openai: openaiApiKeyInput, whisper: whisperApiKeyInput }[vaultKeyProvider.value]);
+    showStatusMessage(`Saved "${name}" and made it the active ${PROVIDER_LABELS[vaultKeyProvider.value]} key.`, "success");
+    setTimeout(() => {
+      hideStatusMessage();
+    }, 3000);
+  });
+
+  rotateVaultButton.addEventListener("click", async () => {
+    if (vaultRotatedPassphrase.value.length < 8) {
+      showStatusMessage("The new passphrase must be at least 8 characters long.", "error");
+      return;
+    }
+    rotateVaultButton.disabled = true;
+    if (await keyVaultRequest({
+      action: "rotateKeyVault",
+      currentPassphrase: vaultCurrentPassphrase.value,
+      newPassphrase: vaultRotatedPassphrase.value
+    }, "Passphrase changed and keys re-encrypted.")) {
+      vaultCurrentPassphrase.value = "";
+      vaultRotatedPassphrase.value = "";
+    }
+    rotateVaultButton.disabled = false;
+  });
+
+  disableVaultButton.addEventListener("click", async () => {
+    if (!confirm("Disable the key vault? Active keys will be stored unencrypted and other named keys deleted.")) {
+      return;
+    }
+    if (await keyVaultRequest({ action: "disableKeyVault", passphrase: vaultCurrentPassphrase.value }, "Key vault disabled.")) {
+      vaultCurrentPassphrase.value = "";
+      loadApiKey("gemini", apiKeyInput);
+      loadApiKey("openai", openaiApiKeyInput);
+      loadApiKey("whisper", whisperApiKeyInput);
+    }
+  });
+
+  lockVaultButton.addEventListener("click", () => {
+    keyVaultRequest({ action: "lockKeyVault" }, "Key vault locked.");
+  });
+
+  loadKeyVaultStatus();
+
   // Show status message with animation
   function showStatusMessage(message, type) {
     statusMessage.textContent = message;
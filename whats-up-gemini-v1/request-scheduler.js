@@ -0,0 +1,144 @@
+// request-scheduler.js - Rate-limited, retrying request scheduler and persistent job queue (service worker)
+
+// Sleep for ms, rejecting with an AbortError as soon as signal aborts
+function waitFor(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('Request cancelled', 'AbortError'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Request cancelled', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Runs API calls within a requests-per-minute budget and retries retryable
+// failures (error.retryable) with exponential backoff, honoring error.retryAfterMs
+class RequestScheduler {
+  constructor({ requestsPerMinute = 10, maxRetries = 4, baseDelayMs = 2000, maxDelayMs = 60000 } = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.startTimes = []; // Start times of requests within the last minute
+  }
+
+  setRequestsPerMinute(requestsPerMinute) {
+    const value = Number(requestsPerMinute);
+    this.requestsPerMinute = Number.isFinite(value) && value > 0 ? value : 0; // 0 disables the budget
+  }
+
+  // Wait until another request fits in the budget, then claim the slot
+  async acquireSlot(signal, onWait) {
+    while (this.requestsPerMinute > 0) {
+      const now = Date.now();
+      this.startTimes = this.startTimes.filter(time => now - time < 60000);
+      if (this.startTimes.length < this.requestsPerMinute) break;
+
+      const waitMs = 60000 - (now - this.startTimes[0]) + 50;
+      if (onWait) onWait(waitMs);
+      await waitFor(waitMs, signal);
+    }
+    this.startTimes.push(Date.now());
+  }
+
+  backoffDelay(attempt, error) {
+    const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    const jittered = exponential / 2 + Math.random() * exponential / 2;
+    return Math.min(this.maxDelayMs, Math.max(jittered, error.retryAfterMs || 0));
+  }
+
+  // Run task() under the budget. onWait(ms) reports budget waits and
+  // onRetry(attempt, delayMs, error) reports each scheduled retry.
+  async run(task, { signal, onWait, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquireSlot(signal, onWait);
+      try {
+        return await task();
+      } catch (error) {
+        if (!error.retryable || attempt >= this.maxRetries || (signal && signal.aborted)) {
+          throw error;
+        }
+
+        const delayMs = this.backoffDelay(attempt, error);
+        console.warn(`[Scheduler] Attempt ${attempt + 1} failed (${error.category}), retrying in ${Math.round(delayMs)} ms:`, error.message);
+        if (onRetry) onRetry(attempt + 1, delayMs, error);
+        await waitFor(delayMs, signal);
+      }
+    }
+  }
+}
+
+// Jobs written to IndexedDB before they run and removed once they settle, so
+// work interrupted by a service worker restart can be picked up again
+class PersistentJobQueue {
+  constructor(storeName) {
+    this.dbName = 'whatsappGeminiTranscriberJobs';
+    this.dbVersion = 1;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async withStore(mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = callback(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Store a job's payload, resolving to its ID
+  async add(payload) {
+    const job = { id: crypto.randomUUID(), payload: payload, enqueuedAt: Date.now(), resumeCount: 0 };
+    await this.withStore('readwrite', store => store.put(job));
+    return job.id;
+  }
+
+  async update(job) {
+    await this.withStore('readwrite', store => store.put(job));
+  }
+
+  async remove(id) {
+    await this.withStore('readwrite', store => store.delete(id));
+  }
+
+  async getAll() {
+    return this.withStore('readonly', store => store.getAll());
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RequestScheduler, PersistentJobQueue, waitFor };
+} else if (typeof window !== 'undefined') {
+  window.RequestScheduler = RequestScheduler;
+  window.PersistentJobQueue = PersistentJobQueue;
+}
@@ -0,0 +1,138 @@
+// selectors.js - WhatsApp Web DOM lookups with fallback strategies (content script)
+
+// Bump when strategies change so health reports can be compared across releases
+const SELECTORS_VERSION = 2;
+
+// Labels in a few UI languages; the icon strategy covers the rest
+const VOICE_MESSAGE_LABELS = ['Voice message', 'Mensagem de voz', 'Mensaje de voz', 'Message vocal', 'Sprachnachricht', 'Messaggio vocale'];
+const PLAY_VOICE_MESSAGE_LABELS = ['Play voice message', 'Reproduzir mensagem de voz', 'Reproducir mensaje de voz', 'Lire le message vocal', 'Sprachnachricht abspielen', 'Riproduci messaggio vocale'];
+const PLAY_ICONS = ['audio-play', 'ptt-play'];
+const PAUSE_VOICE_MESSAGE_LABELS = ['Pause voice message', 'Pausar mensagem de voz', 'Pausar mensaje de voz', 'Mettre en pause le message vocal', 'Sprachnachricht pausieren', 'Metti in pausa il messaggio vocale'];
+const PAUSE_ICONS = ['audio-pause', 'ptt-pause'];
+
+const MESSAGE_CONTAINER = '.message-in, .message-out';
+
+function labelSelector(element, labels) {
+  return labels.map(label => `${element}[aria-label="${label}"]`).join(', ');
+}
+
+class WhatsAppSelectors {
+  constructor() {
+    this.version = SELECTORS_VERSION;
+    this.storeDetection = { checked: 0, matched: 0 };
+
+    // Each strategy maps a root element to voice message elements: the player
+    // when it can be located, otherwise the whole message bubble
+    this.strategies = [
+      {
+        name: 'obfuscated-class',
+        description: 'English label and the player\'s generated class names',
+        find: root => Array.from(root.querySelectorAll("span[aria-label='Voice message']"))
+          .map(span => span.closest('div.x78zum5.x6s0dn4.xzt5al7.xjkvuk6'))
+      },
+      {
+        name: 'localized-label',
+        description: 'Voice message labels in common UI languages',
+        find: root => Array.from(root.querySelectorAll(labelSelector('span', VOICE_MESSAGE_LABELS)))
+          .map(span => span.closest(MESSAGE_CONTAINER))
+      },
+      {
+        name: 'player-icon',
+        description: 'Language-independent play icons inside message bubbles',
+        find: root => Array.from(root.querySelectorAll(PLAY_ICONS.map(icon => `span[data-icon="${icon}"]`).join(', ')))
+          .map(icon => icon.closest(MESSAGE_CONTAINER))
+      }
+    ];
+  }
+
+  // Voice message elements under root, one per bubble, from the first strategy
+  // that recognises each bubble
+  findVoiceMessages(root) {
+    const found = new Map();
+    this.strategies.forEach(strategy => {
+      strategy.find(root).forEach(element => {
+        if (!element) return;
+        const container = this.getMessageContainer(element);
+        if (container && !found.has(container)) {
+          found.set(container, element);
+        }
+      });
+    });
+    return Array.from(found.values());
+  }
+
+  getMessageContainer(element) {
+    return element.closest(MESSAGE_CONTAINER);
+  }
+
+  // Message rows carry the serialized message ID used by Store.Msg.get
+  getMessageRows(root) {
+    const rows = Array.from(root.querySelectorAll('[data-id]'));
+    if (root.matches && root.matches('[data-id]')) rows.push(root);
+    return rows;
+  }
+
+  getMessageId(element) {
+    const row = element.closest('[data-id]');
+    return row ? row.dataset.id : null;
+  }
+
+  getMessageRow(messageId) {
+    return document.querySelector(`[data-id="${CSS.escape(messageId)}"]`);
+  }
+
+  findPlayButton(element) {
+    const labelled = element.querySelector(labelSelector('button', PLAY_VOICE_MESSAGE_LABELS));
+    if (labelled) return labelled;
+    const icon = element.querySelector(PLAY_ICONS.map(name => `span[data-icon="${name}"]`).join(', '));
+    return icon ? icon.closest('button, [role="button"]') : null;
+  }
+
+  // A playing voice message shows a pause control in place of the play button
+  isPlaying(element) {
+    return !!element.querySelector(`${labelSelector('button', PAUSE_VOICE_MESSAGE_LABELS)}, ${PAUSE_ICONS.map(name => `span[data-icon="${name}"]`).join(', ')}`);
+  }
+
+  getChatHeader() {
+    return document.querySelector('#main header') ||
+      document.querySelector('[data-testid="conversation-header"]');
+  }
+
+  getComposer() {
+    return document.querySelector("footer div[contenteditable='true']") ||
+      document.querySelector("#main div[contenteditable='true'][role='textbox']");
+  }
+
+  // The Store-driven strategy runs in the page; content.js reports its results
+  recordStoreDetection(checked, matched) {
+    this.storeDetection.checked += checked;
+    this.storeDetection.matched += matched;
+  }
+
+  // Report how many elements each strategy matches right now, for the popup
+  healthCheck(root = document) {
+    return {
+      version: this.version,
+      strategies: this.strategies.map(strategy => ({
+        name: strategy.name,
+        description: strategy.description,
+        matches: strategy.find(root).filter(Boolean).length
+      })).concat({
+        name: 'store-lookup',
+        description: 'Message rows (data-id) checked against Store.Msg',
+        matches: this.storeDetection.matched,
+        checked: this.storeDetection.checked
+      }),
+      messageRows: this.getMessageRows(root).length,
+      chatHeader: !!this.getChatHeader(),
+      composer: !!this.getComposer()
+    };
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WhatsAppSelectors;
+} else if (typeof window !== 'undefined') {
+  window.WhatsAppSelectors = WhatsAppSelectors;
+}
@@ -0,0 +1,113 @@
+// store-capabilities.js - Registry of resolved WhatsApp Store modules and the features they enable (page context)
+
+// Store paths each extension feature depends on
+const STORE_FEATURES = {
+  transcribe: { label: 'Media download and decryption', requires: ['Store.Msg', 'Store.DownloadManager'] },
+  messageContext: { label: 'Chat and sender names', requires: ['Store.Chat', 'WWebJS.getMessageModel', 'WWebJS.getChatModel'] },
+  mediaDetection: { label: 'Media message detection', requires: ['Store.Msg'] },
+  statusCaptions: { label: 'Status captions', requires: ['Store.Msg'] },
+  activeChat: { label: 'Active chat lookup', requires: ['Store.Chat'] },
+  batch: { label: 'Whole-chat transcription and digests', requires: ['Store.Msg', 'Store.Chat', 'Store.ConversationMsgs'] },
+  replyContext: { label: 'Reply drafting context', requires: ['Store.Msg', 'Store.Chat'] },
+  sendReply: { label: 'Sending text replies', requires: ['Store.Msg', 'Store.Chat', 'WWebJS.sendMessage'] },
+  voiceReply: { label: 'Sending voice replies', requires: ['Store.Msg', 'Store.Chat', 'Store.MediaPrep', 'Store.MediaUpload', 'WWebJS.sendMessage', 'WWebJS.processMediaData'] },
+  openMessage: { label: 'Jump to message', requires: ['Store.Msg', 'Store.Chat', 'Store.Cmd', 'Store.SearchContext'] },
+  transcriptionRules: { label: 'Chat labels and contacts for transcription rules', requires: ['Store.Chat', 'Store.Contact', 'Store.Label'] },
+  messageIds: { label: 'Message ID parsing', requires: ['Store.WidFactory'] }
+};
+
+// Every Store module lib.js tries to expose, probed for the diagnostics report
+const STORE_MODULES = [
+  'Msg', 'Chat', 'Contact', 'Label', 'Conn', 'ConversationMsgs', 'Cmd', 'SearchContext', 'DownloadManager',
+  'CryptoLib', 'MediaObject', 'MediaPrep', 'MediaTypes', 'MediaUpload', 'UploadUtils', 'OpaqueData', 'MsgKey',
+  'QuotedMsg', 'ReplyUtils', 'SendMessage', 'SendSeen', 'StatusUtils', 'WidFactory', 'GroupMetadata', 'User'
+];
+
+// lib.js reports modules it cannot find with console.error("Fail to load module: ...")
+// when ExposeStore runs. This file is injected before lib.js and listens in on
+// console.error until inject.js has called ExposeStore and then stopCapturing().
+const storeLoadErrors = [];
+const originalConsoleError = console.error;
+const captureStoreLoadErrors = function (...args) {
+  if (typeof args[0] === 'string' && args[0].startsWith('Fail to load module: ')) {
+    storeLoadErrors.push(args[0].slice('Fail to load module: '.length));
+  }
+  return originalConsoleError.apply(this, args);
+};
+console.error = captureStoreLoadErrors;
+
+class StoreCapabilities {
+  // Look up a dotted path such as "Store.DownloadManager" on window
+  resolve(path) {
+    return path.split('.').reduce((object, key) => (object ? object[key] : undefined), window);
+  }
+
+  // Which download function this WhatsApp build provides, if any
+  getDownloadFunction() {
+    const manager = window.Store && window.Store.DownloadManager;
+    if (!manager) return null;
+    return manager.downloadAndDecrypt || manager.downloadAndMaybeDecrypt || null;
+  }
+
+  getDownloadVariant() {
+    const manager = window.Store && window.Store.DownloadManager;
+    if (!manager) return null;
+    if (manager.downloadAndDecrypt) return 'downloadAndDecrypt';
+    if (manager.downloadAndMaybeDecrypt) return 'downloadAndMaybeDecrypt';
+    return null;
+  }
+
+  // Missing Store paths for a feature; downloads also need a download function
+  getMissing(feature) {
+    const definition = STORE_FEATURES[feature];
+    if (!definition) {
+      throw new Error(`Unknown Store feature: ${feature}`);
+    }
+    const missing = definition.requires.filter(path => !this.resolve(path));
+    if (feature === 'transcribe' && missing.length === 0 && !this.getDownloadVariant()) {
+      missing.push('Store.DownloadManager.downloadAndDecrypt');
+    }
+    return missing;
+  }
+
+  has(feature) {
+    return this.getMissing(feature).length === 0;
+  }
+
+  // Throw a descriptive error when a feature cannot work with this WhatsApp build
+  assert(feature) {
+    const missing = this.getMissing(feature);
+    if (missing.length > 0) {
+      throw new Error(`${STORE_FEATURES[feature].label} is unavailable in this WhatsApp Web version (missing ${missing.join(', ')}).`);
+    }
+  }
+
+  // Put the page's console.error back once ExposeStore has run, unless something
+  // else on the page has replaced it since
+  stopCapturing() {
+    if (console.error === captureStoreLoadErrors) {
+      console.error = originalConsoleError;
+    }
+  }
+
+  // Snapshot of resolved modules and feature availability for the popup
+  getReport() {
+    return {
+      storeExposed: !!window.Store,
+      downloadVariant: this.getDownloadVariant(),
+      modules: STORE_MODULES.map(name => ({ name: name, available: !!this.resolve(`Store.${name}`) })),
+      features: Object.keys(STORE_FEATURES).map(feature => {
+        const missing = this.getMissing(feature);
+        return { name: feature, label: STORE_FEATURES[feature].label, available: missing.length === 0, missing: missing };
+      }),
+      loadErrors: storeLoadErrors.slice()
+    };
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StoreCapabilities;
+} else if (typeof window !== 'undefined') {
+  window.StoreCapabilities = StoreCapabilities;
+}
@@ -0,0 +1,148 @@
+// transcript-export.js - Transcript export formats (service worker)
+
+// Supported formats; subtitle formats need segment timestamps
+const EXPORT_FORMATS = {
+  txt: { extension: 'txt', mimeType: 'text/plain' },
+  md: { extension: 'md', mimeType: 'text/markdown' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip', subtitles: true },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt', subtitles: true }
+};
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+// Subtitle timestamps: 00:01:02,345 for SRT and 00:01:02.345 for WebVTT
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+function describeEntry(entry) {
+  return [
+    new Date(entry.timestamp).toLocaleString(),
+    entry.chatName || entry.chatId,
+    entry.senderName,
+    entry.duration ? formatDuration(entry.duration) : ''
+  ].filter(Boolean).join(' | ');
+}
+
+function toText(entries) {
+  return entries.map(entry => {
+    const lines = [describeEntry(entry)];
+    if (entry.summary) lines.push(`Summary: ${entry.summary}`);
+    lines.push(entry.transcription);
+    if (entry.translation) lines.push(`Translation: ${entry.translation}`);
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+function toMarkdown(entries) {
+  const sections = entries.map(entry => {
+    const lines = [`## ${entry.senderName || 'Unknown sender'} - ${new Date(entry.timestamp).toLocaleString()}`, ''];
+    lines.push(`*${[entry.chatName || entry.chatId, entry.duration ? formatDuration(entry.duration) : '', entry.language].filter(Boolean).join(' · ')}*`, '');
+    if (entry.summary) lines.push(`> ${entry.summary}`, '');
+
+    if (entry.segments && entry.segments.length > 0) {
+      entry.segments.forEach(segment => {
+        const speaker = segment.speaker ? ` ${segment.speaker}:` : '';
+        lines.push(`- **[${formatDuration(segment.start)}]**${speaker} ${segment.text}`);
+      });
+    } else {
+      lines.push(entry.transcription);
+    }
+
+    if (entry.translation) lines.push('', `**Translation:** ${entry.translation}`);
+    return lines.join('\n');
+  });
+
+  return `# WhatsApp voice message transcripts\n\n${sections.join('\n\n')}\n`;
+}
+
+function toJson(entries) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    count: entries.length,
+    transcripts: entries.map(entry => ({
+      messageId: entry.messageId,
+      chatId: entry.chatId,
+      chatName: entry.chatName,
+      senderName: entry.senderName,
+      timestamp: new Date(entry.timestamp).toISOString(),
+      duration: entry.duration,
+      language: entry.language || null,
+      summary: entry.summary || null,
+      transcription: entry.transcription,
+      translation: entry.translation || null,
+      segments: entry.segments || [],
+      message: entry.message || null
+    }))
+  }, null, 2);
+}
+
+// Messages are laid out back to back on one timeline, each cue prefixed with
+// its sender so the speaker stays clear across messages
+function toSubtitles(entries, format) {
+  const separator = format === 'srt' ? ',' : '.';
+  const cues = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const sender = entry.senderName || entry.segments.find(segment => segment.speaker)?.speaker || '';
+    entry.segments.forEach(segment => {
+      const speaker = segment.speaker || sender;
+      const end = Math.max(segment.end, segment.start + 1);
+      cues.push({
+        start: offset + segment.start,
+        end: offset + end,
+        text: speaker ? `${speaker}: ${segment.text}` : segment.text
+      });
+    });
+    const lastEnd = Math.max(...entry.segments.map(segment => segment.end));
+    offset += Math.max(entry.duration || 0, lastEnd) + 1;
+  });
+
+  const blocks = cues.map((cue, index) => {
+    const timing = `${formatCueTime(cue.start, separator)} --> ${formatCueTime(cue.end, separator)}`;
+    return format === 'srt' ? `${index + 1}\n${timing}\n${cue.text}` : `${timing}\n${cue.text}`;
+  });
+
+  return format === 'srt' ? `${blocks.join('\n\n')}\n` : `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
+
+// Render history entries in the requested format, oldest first. Returns
+// { content, mimeType, extension }.
+function exportTranscripts(entries, format) {
+  const definition = EXPORT_FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  let selected = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+  if (definition.subtitles) {
+    selected = selected.filter(entry => entry.segments && entry.segments.length > 0);
+  }
+  if (selected.length === 0) {
+    throw new Error(definition.subtitles
+      ? 'None of these transcripts have segment timestamps. Enable structured output to export subtitles.'
+      : 'There are no transcripts to export.');
+  }
+
+  const renderers = { txt: toText, md: toMarkdown, json: toJson };
+  const content = definition.subtitles ? toSubtitles(selected, format) : renderers[format](selected);
+
+  return { content, mimeType: definition.mimeType, extension: definition.extension };
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EXPORT_FORMATS, exportTranscripts };
+} else if (typeof window !== 'undefined') {
+  window.exportTranscripts = exportTranscripts;
+}
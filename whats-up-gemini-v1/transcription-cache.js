@@ -0,0 +1,117 @@
+// transcription-cache.js - Persistent transcription cache (service worker)
+
+class TranscriptionCache {
+  constructor() {
+    this.storageKey = 'transcriptionCache';
+    this.maxEntries = 500;
+    this.maxBytes = 2 * 1024 * 1024; // 2 MB of serialized entries
+    this.maxAge = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Load all entries from storage
+  async loadEntries() {
+    const stored = await chrome.storage.local.get([this.storageKey]);
+    return stored[this.storageKey] || {};
+  }
+
+  // Serialize writes so concurrent transcriptions don't overwrite each other
+  update(mutator) {
+    const run = this.writeQueue.then(async () => {
+      const entries = await this.loadEntries();
+      const result = mutator(entries);
+      this.evict(entries);
+      await chrome.storage.local.set({ [this.storageKey]: entries });
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Look up a cached result by message ID, falling back to any entry with the
+  // same media filehash (forwarded copies of the same voice note)
+  async get(messageId, filehash) {
+    try {
+      const entries = await this.loadEntries();
+      const now = Date.now();
+      let entry = entries[messageId];
+
+      if (entry && filehash && entry.filehash && entry.filehash !== filehash) {
+        entry = null;
+      }
+
+      if (!entry && filehash) {
+        entry = Object.values(entries).find(candidate => candidate.filehash === filehash) || null;
+      }
+
+      if (!entry || now - entry.createdAt > this.maxAge) {
+        return null;
+      }
+
+      return entry.result;
+    } catch (error) {
+      console.error('[Cache] Failed to read transcription cache:', error);
+      return null;
+    }
+  }
+
+  // Store a transcription result for a message
+  async set(messageId, filehash, result) {
+    try {
+      await this.update(entries => {
+        entries[messageId] = {
+          filehash: filehash || null,
+          result: result,
+          createdAt: Date.now()
+        };
+      });
+      console.log('[Cache] Transcription cached for message:', messageId);
+    } catch (error) {
+      console.error('[Cache] Failed to write transcription cache:', error);
+    }
+  }
+
+  // Drop expired entries, then the oldest ones until size limits are met
+  evict(entries) {
+    const now = Date.now();
+
+    Object.keys(entries).forEach(messageId => {
+      if (now - entries[messageId].createdAt > this.maxAge) {
+        delete entries[messageId];
+      }
+    });
+
+    const byAge = Object.keys(entries).sort((a, b) => entries[a].createdAt - entries[b].createdAt);
+    let totalBytes = JSON.stringify(entries).length;
+
+    while (byAge.length > 0 && (byAge.length > this.maxEntries || totalBytes > this.maxBytes)) {
+      const oldest = byAge.shift();
+      totalBytes -= JSON.stringify({ [oldest]: entries[oldest] }).length;
+      delete entries[oldest];
+    }
+  }
+
+  // Report entry count and approximate size for the popup
+  async getStats() {
+    const entries = await this.loadEntries();
+    return {
+      entries: Object.keys(entries).length,
+      bytes: JSON.stringify(entries).length
+    };
+  }
+
+  // Remove every cached transcription
+  async clear() {
+    await this.update(entries => {
+      Object.keys(entries).forEach(messageId => delete entries[messageId]);
+    });
+    console.log('[Cache] Transcription cache cleared');
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TranscriptionCache;
+} else if (typeof window !== 'undefined') {
+  window.TranscriptionCache = TranscriptionCache;
+}
@@ -0,0 +1,147 @@
+// transcription-history.js - IndexedDB transcription history (service worker and extension pages)
+
+// With redaction on, entries are keyed by a pseudonymized message ID. The real ID
+// is kept in session storage, held in memory until the browser closes, so the
+// history page can still open the message meanwhile.
+const HISTORY_MESSAGE_ID_PREFIX = 'historyMessageId:';
+
+class TranscriptionHistory {
+  constructor() {
+    this.dbName = 'whatsappGeminiTranscriber';
+    this.dbVersion = 1;
+    this.storeName = 'transcripts';
+    this.dbPromise = null;
+  }
+
+  // Open (and on first use create) the history database
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'messageId' });
+          store.createIndex('chatId', 'chatId', { unique: false });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run a single request against the object store
+  async withStore(mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = callback(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Record (or replace) the transcript of a message together with its metadata
+  async add(messageId, context, result) {
+    const entry = {
+      messageId: messageId,
+      chatId: context.chatId || '',
+      chatName: context.chatName || '',
+      senderName: context.senderName || '',
+      timestamp: context.timestamp || Date.now(),
+      duration: context.duration || 0,
+      transcription: result.transcription || '',
+      summary: result.summary || '',
+      language: result.language || '',
+      translation: result.translation || '',
+      segments: result.segments || [],
+      message: context.message || null,
+      createdAt: Date.now()
+    };
+
+    try {
+      await this.withStore('readwrite', store => store.put(entry));
+      console.log('[History] Transcript recorded for message:', messageId);
+    } catch (error) {
+      console.error('[History] Failed to record transcript:', error);
+    }
+  }
+
+  // Record a transcript with redaction on. The entry is keyed by the pseudonymized
+  // message ID and its metadata is masked, so nothing stored holds a phone number.
+  async addRedacted(redactor, messageId, context, result) {
+    const storedId = await redactor.redactIds(messageId);
+    await this.add(storedId, await redactor.redactParticipants(context), result);
+    if (storedId !== messageId) {
+      await TranscriptionHistory.rememberMessageId(storedId, messageId);
+      // Drop the entry written under the real ID before redaction was switched on
+      await this.remove(messageId);
+    }
+  }
+
+  // List entries, newest first, matching an optional filter of
+  // { query, messageId, chatId, from, to } where from/to are millisecond timestamps
+  // and messageId and chatId may be lists of IDs
+  async query(filter = {}) {
+    const entries = await this.withStore('readonly', store => store.getAll());
+    const query = (filter.query || '').trim().toLowerCase();
+
+    return entries
+      .filter(entry => !filter.messageId || [].concat(filter.messageId).includes(entry.messageId))
+      .filter(entry => !filter.chatId || [].concat(filter.chatId).includes(entry.chatId))
+      .filter(entry => !filter.from || entry.timestamp >= filter.from)
+      .filter(entry => !filter.to || entry.timestamp <= filter.to)
+      .filter(entry => !query || [entry.transcription, entry.summary, entry.translation, entry.chatName, entry.senderName]
+        .some(text => text && text.toLowerCase().includes(query)))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  // List the chats that appear in the history as { chatId, chatName }
+  async getChats() {
+    const entries = await this.withStore('readonly', store => store.getAll());
+    const chats = new Map();
+    entries.forEach(entry => {
+      if (!chats.has(entry.chatId)) {
+        chats.set(entry.chatId, { chatId: entry.chatId, chatName: entry.chatName || entry.chatId });
+      }
+    });
+    return Array.from(chats.values()).sort((a, b) => a.chatName.localeCompare(b.chatName));
+  }
+
+  async remove(messageId) {
+    await this.withStore('readwrite', store => store.delete(messageId));
+  }
+
+  // Remove every recorded transcript
+  async clear() {
+    await this.withStore('readwrite', store => store.clear());
+    const stored = await chrome.storage.session.get(null);
+    await chrome.storage.session.remove(Object.keys(stored).filter(key => key.startsWith(HISTORY_MESSAGE_ID_PREFIX)));
+    console.log('[History] Transcription history cleared');
+  }
+
+  static async rememberMessageId(storedId, messageId) {
+    await chrome.storage.session.set({ [HISTORY_MESSAGE_ID_PREFIX + storedId]: messageId });
+  }
+
+  // The WhatsApp message ID behind an entry's key, or null once the browser has
+  // been closed since a pseudonymized entry was written
+  static async resolveMessageId(storedId) {
+    const key = HISTORY_MESSAGE_ID_PREFIX + storedId;
+    const stored = await chrome.storage.session.get(key);
+    if (stored[key]) return stored[key];
+    return /\[PHONE-[0-9a-f]+\]/.test(storedId) ? null : storedId;
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TranscriptionHistory;
+} else if (typeof window !== 'undefined') {
+  window.TranscriptionHistory = TranscriptionHistory;
+}
@@ -0,0 +1,631 @@
+// transcription-providers.js - Pluggable speech-to-text providers (service worker)
+
+// What went wrong with a provider request, so the chat can show a useful hint
+const API_ERROR_CATEGORIES = {
+  INVALID_KEY: 'invalid_key',
+  QUOTA_EXHAUSTED: 'quota_exhausted',
+  RATE_LIMITED: 'rate_limited',
+  AUDIO_TOO_LARGE: 'audio_too_large',
+  SAFETY_BLOCK: 'safety_block',
+  TRANSIENT: 'transient',
+  OTHER: 'other'
+};
+
+// Provider request failure; retryable errors may carry the server's requested delay
+class ApiError extends Error {
+  constructor(message, { status = null, category = API_ERROR_CATEGORIES.OTHER, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.category = category;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return this.category === API_ERROR_CATEGORIES.RATE_LIMITED || this.category === API_ERROR_CATEGORIES.TRANSIENT;
+  }
+}
+
+// Delay requested through a Retry-After header (seconds or an HTTP date) or, for
+// Gemini, a google.rpc.RetryInfo detail such as "retryDelay": "27s"
+function parseRetryAfter(response, errorText) {
+  const header = response.headers.get('retry-after');
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const match = /"retryDelay"\s*:\s*"([\d.]+)s"/.exec(errorText || '');
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+// Turn a failed response into an ApiError with a category
+async function createApiError(response, prefix = 'HTTP error!') {
+  const errorText = await response.text();
+  const status = response.status;
+  let category = API_ERROR_CATEGORIES.OTHER;
+
+  if (status === 401 || status === 403 || /API key not valid|API_KEY_INVALID|invalid_api_key/i.test(errorText)) {
+    category = API_ERROR_CATEGORIES.INVALID_KEY;
+  } else if (status === 413 || /payload size exceeds|too large|exceeds the maximum/i.test(errorText)) {
+    category = API_ERROR_CATEGORIES.AUDIO_TOO_LARGE;
+  } else if (status === 429) {
+    // Daily quotas and billing limits do not recover within a retry window
+    category = /PerDay|per day|billing|insufficient_quota/i.test(errorText)
+      ? API_ERROR_CATEGORIES.QUOTA_EXHAUSTED
+      : API_ERROR_CATEGORIES.RATE_LIMITED;
+  } else if (status === 408 || status >= 500) {
+    category = API_ERROR_CATEGORIES.TRANSIENT;
+  }
+
+  return new ApiError(`${prefix} status: ${status} - ${errorText}`, {
+    status: status,
+    category: category,
+    retryAfterMs: parseRetryAfter(response, errorText)
+  });
+}
+
+// Base class shared by every provider
+class TranscriptionProvider {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  // Human readable provider name used in error messages
+  get displayName() {
+    return 'Transcription provider';
+  }
+
+  // Transcribe base64 audio, resolving to { transcription }. Options may include
+  // an AbortSignal (signal), a partial-text callback (onPartial) for streaming and
+  // a status callback (onProgress) for long-running steps such as uploads.
+  async transcribe() {
+    throw new Error(`${this.displayName} does not implement transcribe()`);
+  }
+
+  // Decode base64 audio into a Blob for multipart uploads
+  base64ToBlob(base64Audio, mimeType) {
+    const binary = atob(base64Audio);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType || 'audio/ogg' });
+  }
+
+  // Pick a file name whose extension matches the mimetype, since some servers sniff it
+  fileNameFor(mimeType) {
+    const subtype = (mimeType || 'audio/ogg').split(';')[0].split('/')[1] || 'ogg';
+    const extensions = { mpeg: 'mp3', 'x-wav': 'wav', 'x-m4a': 'm4a', mp4: 'mp4', webm: 'webm', ogg: 'ogg' };
+    return `audio.${extensions[subtype] || subtype}`;
+  }
+
+  // Strip trailing slashes so endpoint paths can be appended safely
+  normalizeBaseUrl(baseUrl) {
+    return (baseUrl || '').trim().replace(/\/+$/, '');
+  }
+
+  async throwForStatus(response) {
+    if (!response.ok) {
+      throw await createApiError(response);
+    }
+  }
+}
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash-exp';
+const DEFAULT_PROMPT_TEMPLATE = 'Please provide a transcript of this audio message.';
+
+// Gemini rejects inline requests above 20 MB, counting the base64 audio and the prompt
+const GEMINI_INLINE_REQUEST_LIMIT_BYTES = 20 * 1024 * 1024;
+
+// Fill {{variable}} placeholders in a prompt template; unknown variables are left as-is
+function renderPromptTemplate(template, variables) {
+  return (template || DEFAULT_PROMPT_TEMPLATE).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    return Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match;
+  });
+}
+
+// POST a generateContent request to Gemini and return the parsed response
+async function generateGeminiContent(apiKey, model, requestBody, signal) {
+  const response = await postGeminiRequest(apiKey, model, 'generateContent', requestBody, signal);
+  return response.json();
+}
+
+// POST a streamGenerateContent request and call onText with the accumulated text
+// after every server-sent event; resolves to the full text and the final
+// chunk's usageMetadata as { text, usageMetadata }
+async function streamGeminiContent(apiKey, model, requestBody, onText, signal) {
+  const response = await postGeminiRequest(apiKey, model, 'streamGenerateContent', requestBody, signal, 'alt=sse&');
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let usageMetadata = null;
+
+  const handleEvent = (event) => {
+    const payload = event.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('');
+    if (!payload) return;
+
+    const chunk = JSON.parse(payload);
+    checkGeminiBlocked(chunk);
+    if (chunk.usageMetadata) {
+      usageMetadata = chunk.usageMetadata;
+    }
+    const parts = chunk.candidates && chunk.candidates[0] && chunk.candidates[0].content
+      ? chunk.candidates[0].content.parts || []
+      : [];
+    parts.forEach((part) => {
+      text += part.text || '';
+    });
+    onText(text);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; keep the trailing partial event buffered
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    events.forEach(handleEvent);
+  }
+
+  // The last event may end without a blank line
+  buffer += decoder.decode();
+  handleEvent(buffer);
+
+  return { text: text, usageMetadata: usageMetadata };
+}
+
+async function postGeminiRequest(apiKey, model, method, requestBody, signal, query = '') {
+  if (!apiKey) {
+    throw new ApiError('Gemini API key not found. Please set it in the extension popup.', { category: API_ERROR_CATEGORIES.INVALID_KEY });
+  }
+
+  const modelName = encodeURIComponent(model || DEFAULT_GEMINI_MODEL);
+  const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${modelName}:${method}?${query}key=${apiKey}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(requestBody),
+    signal: signal
+  });
+
+  if (!response.ok) {
+    throw await createApiError(response);
+  }
+
+  return response;
+}
+
+// Upload media through Gemini's resumable Files API and wait until it can be
+// referenced by file_uri; onProgress receives human readable status updates
+async function uploadGeminiFile(apiKey, bytes, mimeType, displayName, { signal, onProgress } = {}) {
+  const report = (text) => {
+    if (onProgress) onProgress(text);
+  };
+  const sizeMb = (bytes.byteLength / (1024 * 1024)).toFixed(1);
+
+  report(`Uploading audio (${sizeMb} MB)...`);
+  const startResponse = await fetch(`https://generativelanguage.googleapis.com/upload/v1beta/files?key=${apiKey}`, {
+    method: 'POST',
+    headers: {
+      'X-Goog-Upload-Protocol': 'resumable',
+      'X-Goog-Upload-Command': 'start',
+      'X-Goog-Upload-Header-Content-Length': String(bytes.byteLength),
+      'X-Goog-Upload-Header-Content-Type': mimeType,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ file: { display_name: displayName } }),
+    signal: signal
+  });
+
+  if (!startResponse.ok) {
+    throw await createApiError(startResponse, 'File upload failed to start!');
+  }
+
+  const uploadUrl = startResponse.headers.get('x-goog-upload-url');
+  if (!uploadUrl) {
+    throw new Error('File upload failed: no upload URL returned by Gemini');
+  }
+
+  const uploadResponse = await fetch(uploadUrl, {
+    method: 'POST',
+    headers: {
+      'X-Goog-Upload-Offset': '0',
+      'X-Goog-Upload-Command': 'upload, finalize'
+    },
+    body: bytes,
+    signal: signal
+  });
+
+  if (!uploadResponse.ok) {
+    throw await createApiError(uploadResponse, 'File upload failed!');
+  }
+
+  let { file } = await uploadResponse.json();
+
+  // Large media is processed asynchronously before it can be used in prompts
+  while (file.state === 'PROCESSING') {
+    report('Processing uploaded audio...');
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    if (signal && signal.aborted) {
+      throw new DOMException('Upload cancelled', 'AbortError');
+    }
+    const statusResponse = await fetch(`https://generativelanguage.googleapis.com/v1beta/${file.name}?key=${apiKey}`, { signal: signal });
+    if (!statusResponse.ok) {
+      throw await createApiError(statusResponse, 'File status check failed!');
+    }
+    file = await statusResponse.json();
+  }
+
+  if (file.state === 'FAILED') {
+    throw new Error('Gemini could not process the uploaded audio');
+  }
+
+  report('Transcribing uploaded audio...');
+  return file;
+}
+
+// Delete an uploaded file once it is no longer needed (files expire anyway)
+async function deleteGeminiFile(apiKey, fileName) {
+  try {
+    await fetch(`https://generativelanguage.googleapis.com/v1beta/${fileName}?key=${apiKey}`, { method: 'DELETE' });
+  } catch (error) {
+    console.warn('[Providers] Failed to delete uploaded file:', fileName, error);
+  }
+}
+
+// Pull readable text out of a partial structured-output JSON document, so a
+// streaming transcript can be shown before the JSON is complete
+function extractPartialTranscript(text) {
+  if (!text.trim().startsWith('{')) {
+    return text;
+  }
+
+  const pieces = [];
+  const pattern = /"text"\s*:\s*"((?:[^"\\]|\\.)*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    try {
+      pieces.push(JSON.parse(`"${match[1]}"`));
+    } catch (error) {
+      // The last piece may end in the middle of an escape sequence
+      pieces.push(match[1].replace(/\\$/, ''));
+    }
+  }
+  return pieces.join(' ');
+}
+
+// Gemini answers blocked prompts with 200 and a block or finish reason instead of text
+function checkGeminiBlocked(data) {
+  const blockReason = data.promptFeedback && data.promptFeedback.blockReason;
+  const finishReason = data.candidates && data.candidates[0] && data.candidates[0].finishReason;
+  const reason = blockReason || (['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'].includes(finishReason) ? finishReason : null);
+  if (reason) {
+    throw new ApiError(`Gemini blocked this request (${reason})`, { category: API_ERROR_CATEGORIES.SAFETY_BLOCK });
+  }
+}
+
+// Extract the text of the first candidate from a generateContent response
+function getGeminiResponseText(data) {
+  checkGeminiBlocked(data);
+  if (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts[0]) {
+    return data.candidates[0].content.parts[0].text;
+  }
+  throw new Error('Unexpected response format from Gemini API');
+}
+
+// JSON schema Gemini must follow when structured output is enabled
+const STRUCTURED_TRANSCRIPT_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    language: { type: 'STRING', description: 'Language spoken in the audio, in English (e.g. "Portuguese")' },
+    summary: { type: 'STRING', description: 'One-line summary of the message' },
+    confidenceNote: { type: 'STRING', description: 'Short note on audio quality or parts that were hard to understand' },
+    segments: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          start: { type: 'NUMBER', description: 'Start time in seconds' },
+          end: { type: 'NUMBER', description: 'End time in seconds' },
+          speaker: { type: 'STRING' },
+          text: { type: 'STRING' }
+        },
+        required: ['start', 'end', 'text']
+      }
+    }
+  },
+  required: ['language', 'summary', 'segments']
+};
+
+// Gemini expects bare media types and only knows some of the aliases WhatsApp
+// reports for audio files, e.g. "audio/mpeg" or "audio/ogg; codecs=opus"
+function toGeminiMimeType(mimeType) {
+  const baseType = (mimeType || 'audio/ogg').split(';')[0].trim().toLowerCase();
+  const aliases = {
+    'audio/mpeg': 'audio/mp3',
+    'audio/x-wav': 'audio/wav',
+    'audio/wave': 'audio/wav',
+    'audio/x-flac': 'audio/flac',
+    'audio/x-m4a': 'audio/aac',
+    'audio/mp4': 'audio/aac',
+    'video/quicktime': 'video/mov'
+  };
+  return aliases[baseType] || baseType;
+}
+
+// Turn timestamped segments into the common result shape shared by all providers
+function buildSegmentedResult(segments, extra = {}) {
+  const cleanSegments = (segments || [])
+    .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+    .map(segment => ({
+      start: Number(segment.start) || 0,
+      end: Number(segment.end) || 0,
+      speaker: segment.speaker || null,
+      text: segment.text.trim()
+    }));
+
+  return {
+    transcription: cleanSegments.map(segment => segment.text).join(' '),
+    segments: cleanSegments,
+    ...extra
+  };
+}
+
+// Google Gemini generateContent with inline audio
+class GeminiProvider extends TranscriptionProvider {
+  get displayName() {
+    return 'Gemini';
+  }
+
+  // Build the generateContent request from the configured prompt and parameters.
+  // Audio is sent inline unless it was uploaded through the Files API (fileUri).
+  buildRequestBody({ base64Audio, mimeType, context = {}, fileUri }) {
+    const prompt = renderPromptTemplate(this.config.promptTemplate, {
+      targetLanguage: this.config.targetLanguage || 'the original language of the audio',
+      speakerName: context.senderName || 'the speaker',
+      chatName: context.chatName || 'this chat'
+    });
+
+    const generationConfig = {};
+    if (Number.isFinite(this.config.temperature)) {
+      generationConfig.temperature = this.config.temperature;
+    }
+    if (Number.isFinite(this.config.maxOutputTokens) && this.config.maxOutputTokens > 0) {
+      generationConfig.maxOutputTokens = this.config.maxOutputTokens;
+    }
+    if (this.config.structuredOutput) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = STRUCTURED_TRANSCRIPT_SCHEMA;
+    }
+
+    return {
+      contents: [
+        {
+          parts: [
+            {
+              text: prompt
+            },
+            fileUri
+              ? {
+                file_data: {
+                  mime_type: toGeminiMimeType(mimeType),
+                  file_uri: fileUri
+                }
+              }
+              : {
+                inline_data: {
+                  mime_type: toGeminiMimeType(mimeType),
+                  data: base64Audio // Base64 data is already without prefix
+                }
+              }
+          ]
+        }
+      ],
+      generationConfig: generationConfig
+    };
+  }
+
+  async transcribe({ base64Audio, mimeType, context, signal, onPartial, onProgress }) {
+    // The setting is in decoded audio bytes, but base64 inflates the audio by 4/3
+    // and the request limit covers the whole encoded body, prompt included
+    const audioBytes = Math.floor(base64Audio.length * 3 / 4);
+    const inlineLimit = (Number(this.config.inlineLimitMb) || 14) * 1024 * 1024;
+    const requestBytes = base64Audio.length +
+      new TextEncoder().encode(JSON.stringify(this.buildRequestBody({ base64Audio: '', mimeType, context }))).length;
+
+    if (audioBytes <= inlineLimit && requestBytes <= GEMINI_INLINE_REQUEST_LIMIT_BYTES) {
+      return this.generateTranscript(this.buildRequestBody({ base64Audio, mimeType, context }), { signal, onPartial });
+    }
+
+    console.log('[Providers] Audio exceeds inline limit, uploading through the Files API:', audioBytes, 'bytes');
+    const blob = this.base64ToBlob(base64Audio, mimeType);
+    const file = await uploadGeminiFile(this.config.apiKey, await blob.arrayBuffer(), blob.type, this.fileNameFor(blob.type), { signal, onProgress });
+
+    try {
+      return await this.generateTranscript(this.buildRequestBody({ mimeType: blob.type, context, fileUri: file.uri }), { signal, onPartial });
+    } finally {
+      deleteGeminiFile(this.config.apiKey, file.name);
+    }
+  }
+
+  // Results carry Gemini's token counts as usageMetadata for the usage log
+  async generateTranscript(requestBody, { signal, onPartial }) {
+    if (this.config.streaming && onPartial) {
+      const { text, usageMetadata } = await streamGeminiContent(this.config.apiKey, this.config.model, requestBody, (partialText) => {
+        onPartial(extractPartialTranscript(partialText));
+      }, signal);
+      return { ...this.parseResponseText(text), usageMetadata: usageMetadata };
+    }
+
+    const data = await generateGeminiContent(this.config.apiKey, this.config.model, requestBody, signal);
+    return { ...this.parseResponseText(getGeminiResponseText(data)), usageMetadata: data.usageMetadata || null };
+  }
+
+  // Structured responses carry segments, language and summary; plain ones are free text
+  parseResponseText(text) {
+    if (!this.config.structuredOutput) {
+      return { transcription: text };
+    }
+
+    let structured;
+    try {
+      structured = JSON.parse(text);
+    } catch (error) {
+      console.warn('[Providers] Gemini returned invalid JSON, falling back to plain text:', error);
+      return { transcription: text };
+    }
+
+    return buildSegmentedResult(structured.segments, {
+      sourceLanguage: structured.language || null,
+      summary: structured.summary || null,
+      confidenceNote: structured.confidenceNote || null
+    });
+  }
+}
+
+// Any server implementing OpenAI's POST /v1/audio/transcriptions
+class OpenAICompatibleProvider extends TranscriptionProvider {
+  get displayName() {
+    return 'OpenAI-compatible endpoint';
+  }
+
+  async transcribe({ base64Audio, mimeType, signal }) {
+    const baseUrl = this.normalizeBaseUrl(this.config.baseUrl);
+    if (!baseUrl) {
+      throw new Error('OpenAI-compatible base URL not set. Please set it in the extension popup.');
+    }
+    if (!this.config.apiKey) {
+      throw new Error('OpenAI-compatible API key not found. Please set it in the extension popup.');
+    }
+
+    const formData = new FormData();
+    formData.append('file', this.base64ToBlob(base64Audio, mimeType), this.fileNameFor(mimeType));
+    formData.append('model', this.config.model || 'whisper-1');
+    formData.append('response_format', 'json');
+
+    const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.config.apiKey}`
+      },
+      body: formData,
+      signal: signal
+    });
+
+    await this.throwForStatus(response);
+
+    const data = await response.json();
+    if (typeof data.text !== 'string') {
+      throw new Error('Unexpected response format from OpenAI-compatible endpoint');
+    }
+    return { transcription: data.text };
+  }
+}
+
+// Self-hosted Whisper ASR webservice (POST /asr with an audio_file field)
+class WhisperServerProvider extends TranscriptionProvider {
+  get displayName() {
+    return 'Whisper server';
+  }
+
+  async transcribe({ base64Audio, mimeType, signal }) {
+    const baseUrl = this.normalizeBaseUrl(this.config.baseUrl);
+    if (!baseUrl) {
+      throw new Error('Whisper server URL not set. Please set it in the extension popup.');
+    }
+
+    const formData = new FormData();
+    formData.append('audio_file', this.base64ToBlob(base64Audio, mimeType), this.fileNameFor(mimeType));
+
+    const params = new URLSearchParams({ task: 'transcribe', output: 'json' });
+    if (this.config.model) {
+      params.set('model', this.config.model);
+    }
+
+    const headers = {};
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl}/asr?${params.toString()}`, {
+      method: 'POST',
+      headers: headers,
+      body: formData,
+      signal: signal
+    });
+
+    await this.throwForStatus(response);
+
+    const data = await response.json();
+    if (typeof data.text !== 'string') {
+      throw new Error('Unexpected response format from Whisper server');
+    }
+    if (Array.isArray(data.segments) && data.segments.length > 0) {
+      return buildSegmentedResult(data.segments, { sourceLanguage: data.language || null });
+    }
+    return { transcription: data.text.trim() };
+  }
+}
+
+// Build the provider selected in settings, with its own credentials
+function createTranscriptionProvider(settings) {
+  switch (settings.transcriptionProvider) {
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        apiKey: settings.openaiApiKey,
+        baseUrl: settings.openaiBaseUrl,
+        model: settings.openaiModel
+      });
+    case 'whisper':
+      return new WhisperServerProvider({
+        apiKey: settings.whisperApiKey,
+        baseUrl: settings.whisperBaseUrl,
+        model: settings.whisperModel
+      });
+    case 'gemini':
+    default:
+      return new GeminiProvider({
+        apiKey: settings.geminiApiKey,
+        model: settings.geminiModel,
+        promptTemplate: settings.geminiPromptTemplate,
+        targetLanguage: settings.geminiTargetLanguage,
+        structuredOutput: settings.geminiStructuredOutput,
+        streaming: settings.geminiStreaming,
+        inlineLimitMb: settings.geminiInlineLimitMb,
+        temperature: Number(settings.geminiTemperature),
+        maxOutputTokens: Number(settings.geminiMaxOutputTokens)
+      });
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    API_ERROR_CATEGORIES,
+    ApiError,
+    createApiError,
+    TranscriptionProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    WhisperServerProvider,
+    createTranscriptionProvider,
+    renderPromptTemplate,
+    generateGeminiContent,
+    streamGeminiContent,
+    uploadGeminiFile,
+    extractPartialTranscript,
+    getGeminiResponseText
+  };
+} else if (typeof window !== 'undefined') {
+  window.createTranscriptionProvider = createTranscriptionProvider;
+}
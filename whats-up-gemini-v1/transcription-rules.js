@@ -0,0 +1,85 @@
+// transcription-rules.js - Allow/deny rules deciding which chats may be sent for transcription (content script, popup and service worker)
+
+// What a rule can match on. Rules are { action: 'allow' | 'deny', match, value, name? }.
+const TRANSCRIPTION_RULE_MATCHES = {
+  chat: { label: 'Chat', fact: 'chatId' }, // value: chat WID, e.g. 12345@c.us or 12345-678@g.us
+  chatType: { label: 'Chat type', fact: 'isGroup' }, // value: 'group' or 'direct'
+  label: { label: 'Label', fact: 'labels' }, // value: label name, case-insensitive
+  contact: { label: 'Contact', fact: 'isMyContact' } // value: 'saved' or 'unsaved'; direct chats only
+};
+
+class TranscriptionRules {
+  constructor(rules = [], defaultAction = 'allow') {
+    this.rules = Array.isArray(rules) ? rules : [];
+    this.defaultAction = defaultAction === 'deny' ? 'deny' : 'allow';
+  }
+
+  // The WID rules are checked against for a message ID such as
+  // 'false_12345@c.us_ABCDEF'; statuses ('..._status@broadcast_ID_author') use their author
+  static getChatId(messageId) {
+    const parts = (messageId || '').split('_');
+    if (parts.length < 3) return null;
+    return parts[1] === 'status@broadcast' && parts[3] ? parts[3] : parts[1];
+  }
+
+  static describe(rule) {
+    const match = TRANSCRIPTION_RULE_MATCHES[rule.match];
+    const value = rule.match === 'chat' && rule.name ? `${rule.name} (${rule.value})` : rule.value;
+    return `${rule.action === 'deny' ? 'Deny' : 'Allow'} · ${match ? match.label : rule.match}: ${value}`;
+  }
+
+  isEmpty() {
+    return this.rules.length === 0 && this.defaultAction === 'allow';
+  }
+
+  // Labels and saved-contact status have to be looked up in WhatsApp's Store
+  needsStoreFacts() {
+    return this.rules.some(rule => rule.match === 'label' || rule.match === 'contact');
+  }
+
+  // Facts known from the WID alone, for when the Store cannot be asked
+  static getBasicFacts(chatId) {
+    return { chatId: chatId, isGroup: chatId ? /@g\.us$/.test(chatId) : null, labels: null, isMyContact: null };
+  }
+
+  // true or false, or null when the fact the rule needs is unknown
+  matches(rule, facts) {
+    const value = String(rule.value || '').trim().toLowerCase();
+    switch (rule.match) {
+      case 'chat':
+        if (!facts.chatId) return null;
+        return facts.chatId === String(rule.value || '').trim();
+      case 'chatType':
+        if (facts.isGroup === null || facts.isGroup === undefined) return null;
+        return value === (facts.isGroup ? 'group' : 'direct');
+      case 'label':
+        return facts.labels ? facts.labels.some(label => label.toLowerCase() === value) : null;
+      case 'contact':
+        if (facts.isGroup) return false;
+        if (facts.isMyContact === null || facts.isMyContact === undefined) return null;
+        return value === (facts.isMyContact ? 'saved' : 'unsaved');
+      default:
+        return false;
+    }
+  }
+
+  // The first matching rule wins, otherwise the default applies. A deny rule
+  // whose fact is unknown counts as a match, so a failed lookup never lets audio out.
+  evaluate(facts) {
+    for (const rule of this.rules) {
+      const matched = this.matches(rule, facts);
+      if (matched || (matched === null && rule.action === 'deny')) {
+        return { allowed: rule.action !== 'deny', rule: rule };
+      }
+    }
+    return { allowed: this.defaultAction !== 'deny', rule: null };
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TranscriptionRules, TRANSCRIPTION_RULE_MATCHES };
+} else if (typeof window !== 'undefined') {
+  window.TranscriptionRules = TranscriptionRules;
+  window.TRANSCRIPTION_RULE_MATCHES = TRANSCRIPTION_RULE_MATCHES;
+}
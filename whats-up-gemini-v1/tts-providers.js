@@ -0,0 +1,164 @@
+// tts-providers.js - Pluggable text-to-speech providers for voice replies (service worker)
+
+// Voices offered in the voice reply panel, per provider
+const TTS_VOICES = {
+  gemini: ['Kore', 'Puck', 'Charon', 'Fenrir', 'Aoede', 'Leda', 'Orus', 'Zephyr'],
+  openai: ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer']
+};
+
+// Base class shared by every provider
+class TtsProvider {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  get displayName() {
+    return 'Speech provider';
+  }
+
+  // Synthesize text, resolving to { base64Audio, mimeType }
+  async synthesize() {
+    throw new Error(`${this.displayName} does not implement synthesize()`);
+  }
+
+  arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+}
+
+// Gemini speech generation; returns raw 16-bit PCM that is wrapped as WAV
+class GeminiTtsProvider extends TtsProvider {
+  get displayName() {
+    return 'Gemini TTS';
+  }
+
+  async synthesize({ text, voice }) {
+    const requestBody = {
+      contents: [{ parts: [{ text: text }] }],
+      generationConfig: {
+        responseModalities: ['AUDIO'],
+        speechConfig: {
+          voiceConfig: {
+            prebuiltVoiceConfig: { voiceName: voice || TTS_VOICES.gemini[0] }
+          }
+        }
+      }
+    };
+
+    const data = await generateGeminiContent(this.config.apiKey, this.config.model, requestBody);
+    checkGeminiBlocked(data);
+    const part = data.candidates && data.candidates[0] && data.candidates[0].content
+      ? (data.candidates[0].content.parts || []).find(candidate => candidate.inlineData)
+      : null;
+    if (!part) {
+      throw new Error('Unexpected response format from Gemini TTS');
+    }
+
+    // mimeType looks like "audio/L16;codec=pcm;rate=24000"
+    const rateMatch = /rate=(\d+)/.exec(part.inlineData.mimeType || '');
+    const pcm = Uint8Array.from(atob(part.inlineData.data), char => char.charCodeAt(0));
+    const wav = this.pcmToWav(pcm, rateMatch ? Number(rateMatch[1]) : 24000);
+    return { base64Audio: this.arrayBufferToBase64(wav), mimeType: 'audio/wav' };
+  }
+
+  // Prefix mono 16-bit PCM samples with a RIFF/WAVE header
+  pcmToWav(pcm, sampleRate) {
+    const header = new ArrayBuffer(44);
+    const view = new DataView(header);
+    const writeString = (offset, value) => {
+      for (let i = 0; i < value.length; i++) view.setUint8(offset + i, value.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + pcm.length, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // byte rate
+    view.setUint16(32, 2, true); // block align
+    view.setUint16(34, 16, true); // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, pcm.length, true);
+
+    const wav = new Uint8Array(44 + pcm.length);
+    wav.set(new Uint8Array(header), 0);
+    wav.set(pcm, 44);
+    return wav.buffer;
+  }
+}
+
+// OpenAI-compatible POST /audio/speech; Ogg/Opus is what WhatsApp voice notes use
+class OpenAICompatibleTtsProvider extends TtsProvider {
+  get displayName() {
+    return 'OpenAI-compatible speech endpoint';
+  }
+
+  async synthesize({ text, voice }) {
+    const baseUrl = (this.config.baseUrl || '').trim().replace(/\/+$/, '');
+    if (!baseUrl) {
+      throw new Error('OpenAI-compatible base URL not set. Please set it in the extension popup.');
+    }
+    if (!this.config.apiKey) {
+      throw new Error('OpenAI-compatible API key not found. Please set it in the extension popup.');
+    }
+
+    const response = await fetch(`${baseUrl}/audio/speech`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.config.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.config.model || 'tts-1',
+        voice: voice || TTS_VOICES.openai[0],
+        input: text,
+        response_format: 'opus'
+      })
+    });
+
+    if (!response.ok) {
+      throw await createApiError(response);
+    }
+
+    return { base64Audio: this.arrayBufferToBase64(await response.arrayBuffer()), mimeType: 'audio/ogg; codecs=opus' };
+  }
+}
+
+// Build the configured speech provider from stored settings and API keys
+function createTtsProvider(settings) {
+  switch (settings.ttsProvider) {
+    case 'openai':
+      return new OpenAICompatibleTtsProvider({
+        apiKey: settings.openaiApiKey,
+        baseUrl: settings.openaiBaseUrl,
+        model: settings.openaiTtsModel
+      });
+    case 'gemini':
+    default:
+      return new GeminiTtsProvider({
+        apiKey: settings.geminiApiKey,
+        model: settings.geminiTtsModel
+      });
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TTS_VOICES,
+    TtsProvider,
+    GeminiTtsProvider,
+    OpenAICompatibleTtsProvider,
+    createTtsProvider
+  };
+} else if (typeof window !== 'undefined') {
+  window.createTtsProvider = createTtsProvider;
+}
@@ -0,0 +1,173 @@
+// usage-log.js - IndexedDB log of provider calls with token counts and estimated cost (service worker and extension pages)
+
+// Prices in USD, used until the price table is edited on the usage page. Token
+// prices are per million tokens; audio input is billed apart from text input on
+// most Gemini models. perMinute prices audio-minute billed models such as Whisper.
+const DEFAULT_USAGE_PRICE_TABLE = {
+  'gemini-2.0-flash': { input: 0.10, audioInput: 0.70, output: 0.40 },
+  'gemini-2.0-flash-lite': { input: 0.075, audioInput: 0.075, output: 0.30 },
+  'gemini-2.5-flash': { input: 0.30, audioInput: 1.00, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, audioInput: 0.30, output: 0.40 },
+  'gemini-2.5-pro': { input: 1.25, audioInput: 1.25, output: 10.00 },
+  'whisper-1': { perMinute: 0.006 }
+};
+
+// Share of the monthly budget at which the first alert is raised
+const USAGE_BUDGET_WARNING_RATIO = 0.8;
+
+class UsageLog {
+  constructor() {
+    this.dbName = 'whatsappGeminiTranscriberUsage';
+    this.dbVersion = 1;
+    this.storeName = 'usage';
+    this.dbPromise = null;
+  }
+
+  // Open (and on first use create) the usage database
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run a single request against the object store
+  async withStore(mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = callback(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Record one provider call. kind is 'transcription', 'translation', 'summary'
+  // or 'replyDraft'; outcome is 'success', 'error' or 'cancelled'.
+  async add(record) {
+    const entry = {
+      timestamp: Date.now(),
+      kind: record.kind || 'transcription',
+      provider: record.provider || 'gemini',
+      model: record.model || '',
+      chatId: record.chatId || '',
+      chatName: record.chatName || '',
+      duration: record.duration || 0,
+      latencyMs: record.latencyMs || 0,
+      outcome: record.outcome || 'success',
+      errorCategory: record.errorCategory || null,
+      inputTokens: record.inputTokens || 0,
+      audioTokens: record.audioTokens || 0,
+      outputTokens: record.outputTokens || 0,
+      totalTokens: record.totalTokens || 0
+    };
+
+    try {
+      await this.withStore('readwrite', store => store.add(entry));
+    } catch (error) {
+      console.error('[Usage] Failed to record usage:', error);
+    }
+  }
+
+  // List entries, oldest first, between optional from/to millisecond timestamps
+  async query(filter = {}) {
+    const range = filter.from || filter.to
+      ? IDBKeyRange.bound(filter.from || 0, filter.to || Number.MAX_SAFE_INTEGER)
+      : null;
+    return this.withStore('readonly', store => store.index('timestamp').getAll(range));
+  }
+
+  // Remove every usage record
+  async clear() {
+    await this.withStore('readwrite', store => store.clear());
+    console.log('[Usage] Usage log cleared');
+  }
+
+  // Token counts from a Gemini response's usageMetadata
+  static fromGeminiUsage(usageMetadata) {
+    if (!usageMetadata) return {};
+    const audio = (usageMetadata.promptTokensDetails || []).find(detail => detail.modality === 'AUDIO');
+    const audioTokens = audio ? audio.tokenCount || 0 : 0;
+    return {
+      inputTokens: Math.max(0, (usageMetadata.promptTokenCount || 0) - audioTokens),
+      audioTokens: audioTokens,
+      // Thinking tokens are billed as output
+      outputTokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0),
+      totalTokens: usageMetadata.totalTokenCount || 0
+    };
+  }
+
+  // The price table entry for a model; versioned names such as
+  // 'gemini-2.5-flash-preview-05-20' fall back to the longest matching prefix
+  static getPrice(model, priceTable) {
+    if (!model) return null;
+    if (priceTable[model]) return priceTable[model];
+    const prefix = Object.keys(priceTable)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? priceTable[prefix] : null;
+  }
+
+  // Estimated cost of one record in USD, or null when its model has no price
+  static estimateCost(record, priceTable) {
+    const price = UsageLog.getPrice(record.model, priceTable);
+    if (!price) return null;
+    return ((record.inputTokens || 0) * (price.input || 0) +
+      (record.audioTokens || 0) * (price.audioInput !== undefined ? price.audioInput : price.input || 0) +
+      (record.outputTokens || 0) * (price.output || 0)) / 1000000 +
+      (record.outcome === 'success' ? (record.duration || 0) / 60 * (price.perMinute || 0) : 0);
+  }
+
+  // Add up records as { requests, failures, duration, inputTokens, audioTokens,
+  // outputTokens, cost, unpriced }, where unpriced counts records left out of cost
+  static totals(records, priceTable) {
+    return records.reduce((totals, record) => {
+      const cost = UsageLog.estimateCost(record, priceTable);
+      totals.requests++;
+      if (record.outcome === 'error') totals.failures++;
+      if (record.kind === 'transcription' && record.outcome === 'success') totals.duration += record.duration || 0;
+      totals.inputTokens += record.inputTokens || 0;
+      totals.audioTokens += record.audioTokens || 0;
+      totals.outputTokens += record.outputTokens || 0;
+      if (cost === null) {
+        totals.unpriced++;
+      } else {
+        totals.cost += cost;
+      }
+      return totals;
+    }, { requests: 0, failures: 0, duration: 0, inputTokens: 0, audioTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 });
+  }
+
+  // 'YYYY-MM' in local time, naming the budget period a timestamp falls in
+  static getMonthKey(timestamp = Date.now()) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  static getMonthStart(timestamp = Date.now()) {
+    const date = new Date(timestamp);
+    return new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { UsageLog, DEFAULT_USAGE_PRICE_TABLE, USAGE_BUDGET_WARNING_RATIO };
+} else if (typeof window !== 'undefined') {
+  window.UsageLog = UsageLog;
+  window.DEFAULT_USAGE_PRICE_TABLE = DEFAULT_USAGE_PRICE_TABLE;
+  window.USAGE_BUDGET_WARNING_RATIO = USAGE_BUDGET_WARNING_RATIO;
+}
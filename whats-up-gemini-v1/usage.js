@@ -0,0 +1,303 @@
+// usage.js
+
+document.addEventListener("DOMContentLoaded", () => {
+  const usageLog = new UsageLog();
+  const budgetBanner = document.getElementById("budgetBanner");
+  const periodSelect = document.getElementById("periodSelect");
+  const fromDate = document.getElementById("fromDate");
+  const toDate = document.getElementById("toDate");
+  const usageSummary = document.getElementById("usageSummary");
+  const statusMessage = document.getElementById("statusMessage");
+  const periodTable = document.getElementById("periodTable");
+  const chatTable = document.getElementById("chatTable");
+  const monthlyBudget = document.getElementById("monthlyBudget");
+  const priceTable = document.getElementById("priceTable");
+  const addPriceButton = document.getElementById("addPriceButton");
+  const resetPricesButton = document.getElementById("resetPricesButton");
+  const saveUsageSettingsButton = document.getElementById("saveUsageSettingsButton");
+  const clearUsageButton = document.getElementById("clearUsageButton");
+  let prices = DEFAULT_USAGE_PRICE_TABLE;
+
+  // Price table columns, keyed by the field they edit
+  const PRICE_FIELDS = {
+    input: "Input",
+    audioInput: "Audio input",
+    output: "Output",
+    perMinute: "Per audio minute"
+  };
+
+  function toDateInputValue(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+  }
+
+  // Date inputs hold local dates; "to" covers the whole selected day
+  function readFilter() {
+    return {
+      from: fromDate.value ? new Date(`${fromDate.value}T00:00:00`).getTime() : null,
+      to: toDate.value ? new Date(`${toDate.value}T23:59:59.999`).getTime() : null
+    };
+  }
+
+  function formatCost(cost) {
+    return `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+  }
+
+  function formatMinutes(seconds) {
+    return seconds ? `${(seconds / 60).toFixed(1)} min` : "";
+  }
+
+  // Start of the day, or of the Monday-based week, a timestamp falls in
+  function getPeriodStart(timestamp, period) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    if (period === "week") {
+      date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    }
+    return date.getTime();
+  }
+
+  // Group records with keyOf, adding each group up with UsageLog.totals
+  function groupTotals(records, keyOf) {
+    const groups = new Map();
+    records.forEach(record => {
+      const key = keyOf(record);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    });
+    return Array.from(groups, ([key, group]) => ({ key: key, records: group, totals: UsageLog.totals(group, prices) }));
+  }
+
+  function createRow(cellTag, values) {
+    const row = document.createElement("tr");
+    values.forEach(value => {
+      const cell = document.createElement(cellTag);
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  // Fill a table from rows of { label, totals }, with a totals footer
+  function renderTable(table, firstColumn, rows, overall) {
+    const columns = (label, totals) => [
+      label,
+      totals.requests,
+      totals.failures || "",
+      formatMinutes(totals.duration),
+      (totals.inputTokens + totals.audioTokens).toLocaleString(),
+      totals.outputTokens.toLocaleString(),
+      formatCost(totals.cost) + (totals.unpriced ? "*" : "")
+    ];
+
+    const head = document.createElement("thead");
+    head.appendChild(createRow("th", [firstColumn, "Requests", "Failed", "Audio", "Input tokens", "Output tokens", "Est. cost"]));
+    const body = document.createElement("tbody");
+    rows.forEach(row => body.appendChild(createRow("td", columns(row.label, row.totals))));
+    const foot = document.createElement("tfoot");
+    foot.appendChild(createRow("td", columns("Total", overall)));
+    table.replaceChildren(head, body, foot);
+  }
+
+  async function render() {
+    try {
+      const records = await usageLog.query(readFilter());
+      const overall = UsageLog.totals(records, prices);
+      const period = periodSelect.value;
+
+      const periods = groupTotals(records, record => getPeriodStart(record.timestamp, period))
+        .sort((a, b) => b.key - a.key)
+        .map(group => ({
+          label: period === "week" ? `Week of ${new Date(group.key).toLocaleDateString()}` : new Date(group.key).toLocaleDateString(),
+          totals: group.totals
+        }));
+      renderTable(periodTable, period === "week" ? "Week" : "Day", periods, overall);
+
+      // Records keep the chat name they were made with; show the latest one
+      const chats = groupTotals(records, record => record.chatId)
+        .sort((a, b) => b.totals.cost - a.totals.cost || b.totals.requests - a.totals.requests)
+        .map(group => ({
+          label: group.key ? group.records[group.records.length - 1].chatName || group.key : "No chat",
+          totals: group.totals
+        }));
+      renderTable(chatTable, "Chat", chats, overall);
+
+      const transcriptions = records.filter(record => record.kind === "transcription");
+      usageSummary.textContent = `${transcriptions.length} transcription(s) and ${records.length - transcriptions.length} other request(s)` +
+        (overall.unpriced ? `. * ${overall.unpriced} request(s) used a model with no price and are left out of the cost.` : "");
+    } catch (error) {
+      console.error("[Usage] Failed to load usage:", error);
+      showStatus("Failed to load the usage log.");
+    }
+  }
+
+  // Month-to-date spend as last worked out by the background's budget check
+  function renderBudget(state) {
+    budgetBanner.className = "budget-banner";
+    if (!state || state.month !== UsageLog.getMonthKey()) {
+      budgetBanner.textContent = "No usage recorded this month.";
+      return;
+    }
+
+    if (!state.budget) {
+      budgetBanner.textContent = `This month: ${formatCost(state.spent)} estimated. No monthly budget is set.`;
+      return;
+    }
+
+    const percent = Math.floor(state.spent / state.budget * 100);
+    budgetBanner.textContent = `This month: ${formatCost(state.spent)} of your ${formatCost(state.budget)} budget (${percent}%).`;
+    if (state.level === "exceeded") {
+      budgetBanner.classList.add("exceeded");
+      budgetBanner.textContent += " The budget is reached, so auto-transcription is paused until next month.";
+    } else if (state.level === "warning") {
+      budgetBanner.classList.add("warning");
+      budgetBanner.textContent += " You are close to the budget.";
+    }
+  }
+
+  function createPriceInput(value, type) {
+    const input = document.createElement("input");
+    input.type = type;
+    input.value = value === undefined ? "" : value;
+    if (type === "number") {
+      input.min = "0";
+      input.step = "any";
+    }
+    return input;
+  }
+
+  function addPriceRow(model = "", price = {}) {
+    const row = document.createElement("tr");
+    const modelCell = document.createElement("td");
+    modelCell.appendChild(createPriceInput(model, "text"));
+    row.appendChild(modelCell);
+
+    Object.keys(PRICE_FIELDS).forEach(field => {
+      const cell = document.createElement("td");
+      cell.appendChild(createPriceInput(price[field], "number"));
+      row.appendChild(cell);
+    });
+
+    const removeCell = document.createElement("td");
+    const removeButton = document.createElement("button");
+    removeButton.className = "jump-btn";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => row.remove());
+    removeCell.appendChild(removeButton);
+    row.appendChild(removeCell);
+
+    priceTable.tBodies[0].appendChild(row);
+  }
+
+  function renderPriceTable(table) {
+    const head = document.createElement("thead");
+    head.appendChild(createRow("th", ["Model", ...Object.values(PRICE_FIELDS), ""]));
+    priceTable.replaceChildren(head, document.createElement("tbody"));
+    Object.keys(table).sort().forEach(model => addPriceRow(model, table[model]));
+  }
+
+  // Rows without a model name are dropped; blank prices are left out
+  function readPriceTable() {
+    const table = {};
+    for (const row of priceTable.tBodies[0].rows) {
+      const [modelInput, ...priceInputs] = row.querySelectorAll("input");
+      const model = modelInput.value.trim();
+      if (!model) continue;
+
+      const price = {};
+      Object.keys(PRICE_FIELDS).forEach((field, index) => {
+        const value = priceInputs[index].value.trim();
+        if (value !== "") price[field] = Number(value);
+      });
+      if (Object.values(price).some(value => !Number.isFinite(value) || value < 0)) {
+        throw new Error(`Prices for ${model} must be positive numbers.`);
+      }
+      table[model] = price;
+    }
+    return table;
+  }
+
+  function loadSettings() {
+    chrome.runtime.sendMessage({ action: "getSettings" }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        showStatus("Could not load the budget and price settings.");
+        return;
+      }
+      prices = response.settings.usagePriceTable;
+      monthlyBudget.value = response.settings.usageMonthlyBudget || "";
+      renderPriceTable(prices);
+      render();
+    });
+  }
+
+  function showStatus(message) {
+    statusMessage.textContent = message;
+    setTimeout(() => {
+      statusMessage.textContent = "";
+    }, 5000);
+  }
+
+  addPriceButton.addEventListener("click", () => addPriceRow());
+
+  resetPricesButton.addEventListener("click", () => {
+    renderPriceTable(DEFAULT_USAGE_PRICE_TABLE);
+  });
+
+  saveUsageSettingsButton.addEventListener("click", () => {
+    const budget = Number(monthlyBudget.value || 0);
+    if (!Number.isFinite(budget) || budget < 0) {
+      showStatus("The monthly budget must be a positive amount, or 0 to turn alerts off.");
+      return;
+    }
+
+    let table;
+    try {
+      table = readPriceTable();
+    } catch (error) {
+      showStatus(error.message);
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { usageMonthlyBudget: budget, usagePriceTable: table }
+    }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        showStatus("Failed to save the budget and prices. Please try again.");
+        return;
+      }
+      prices = table;
+      showStatus("Budget and prices saved.");
+      render();
+    });
+  });
+
+  clearUsageButton.addEventListener("click", () => {
+    if (!confirm("Delete all recorded usage? Cost totals and the budget check start over.")) return;
+    chrome.runtime.sendMessage({ action: "clearUsageLog" }, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        showStatus("Failed to clear the usage log. Please try again.");
+        return;
+      }
+      render();
+    });
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes.usageBudgetState) {
+      renderBudget(changes.usageBudgetState.newValue);
+      render();
+    }
+  });
+
+  periodSelect.addEventListener("change", render);
+  fromDate.addEventListener("change", render);
+  toDate.addEventListener("change", render);
+
+  // Show the last 30 days by default
+  const today = new Date();
+  toDate.value = toDateInputValue(today);
+  fromDate.value = toDateInputValue(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29));
+
+  chrome.storage.local.get("usageBudgetState").then(stored => renderBudget(stored.usageBudgetState));
+  loadSettings();
+});